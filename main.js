@@ -2,8 +2,11 @@
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const crypto = require('crypto');
 const FilterService = require('./workers/filter-service');
 const CooldownStateManager = require('./utils/cooldown-api');
+const { CooldownPolicy, formatMinutes } = require('./utils/cooldown-policy');
+const { summarizeBans } = require('./utils/ban-history');
 
 // Load environment variables
 require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
@@ -11,21 +14,11 @@ require('dotenv').config({ path: path.resolve(__dirname, '../.env') });
 // Configuration
 const CONFIG = {
     LOG_DIR: path.join(__dirname, '../logs'),
-    CONFIG_PATH: '/etc/secrets/config.json',
+    CONFIG_PATH: process.env.GC_FILTER_WORKER_CONFIG_PATH || '/etc/secrets/config.json',
     COOLDOWN_STATE_PATH: path.join(__dirname, 'cooldown-state.json'),
 
     // Detect cloud environment (Render, Heroku, etc.) - skip file logging on ephemeral filesystems
-    ENABLE_FILE_LOGGING: !process.env.RENDER && !process.env.DYNO,
-
-    // Escalating cooldown levels (in minutes)
-    COOLDOWN_LEVELS: [
-        0,           // Level 0: No cooldown (first attempt)
-        30,          // Level 1: 30 minutes
-        60,          // Level 2: 1 hour
-        120,         // Level 3: 2 hours
-        240,         // Level 4: 4 hours
-        480          // Level 5: 8 hours (maximum)
-    ]
+    ENABLE_FILE_LOGGING: !process.env.RENDER && !process.env.DYNO
 };
 
 // Ensure directories exist
@@ -37,7 +30,7 @@ function initializeEnvironment() {
 
     // Check for required config file
     if (!fs.existsSync(CONFIG.CONFIG_PATH)) {
-        console.error('ERROR: config.json not found!');
+        console.error(`ERROR: config.json not found at ${CONFIG.CONFIG_PATH}!`);
         console.error('Please create config.json with your Steam credentials.');
         process.exit(1);
     }
@@ -66,37 +59,16 @@ function logToFile(message, type = 'info') {
     }
 }
 
-// Cooldown state management (now handled by CooldownStateManager in constructor)
-// These functions are kept for the startup cooldown check in main.js
+// Cooldown state is owned by the one CooldownStateManager created below and shared with the filter worker
 async function loadCooldownStateAsync(cooldownStateManager) {
     try {
         return await cooldownStateManager.load();
     } catch (error) {
         logToFile(`Error loading cooldown state: ${error.message}`, 'error');
-        return { lastBanTime: 0, totalBanCount: 0, cooldownLevel: 0 };
+        return cooldownStateManager.state;
     }
 }
 
-function calculateCooldownEndTime(cooldownState) {
-    if (!cooldownState.lastBanTime || cooldownState.cooldownLevel === 0) {
-        return 0; // No cooldown
-    }
-
-    const cooldownMinutes = CONFIG.COOLDOWN_LEVELS[cooldownState.cooldownLevel] || 0;
-    return cooldownState.lastBanTime + (cooldownMinutes * 60 * 1000);
-}
-
-function getRemainingCooldownTime(cooldownState) {
-    const endTime = calculateCooldownEndTime(cooldownState);
-    return Math.max(0, endTime - Date.now());
-}
-
-function getCooldownLevelInfo(level) {
-    const minutes = CONFIG.COOLDOWN_LEVELS[level] || 0;
-    const hours = minutes / 60;
-    return { level, minutes, hours };
-}
-
 // Main service class
 class GCFilterWorker {
     constructor() {
@@ -104,6 +76,7 @@ class GCFilterWorker {
         this.running = false;
         this.filterWorkerRunning = false;
         this.filterRestartTimer = null;
+        this.reportedFatalFailure = null;   // Last fatal failure logged by the monitor
         this.healthServer = null;
 
         // Use environment variable for instance ID (required on Render.com)
@@ -117,10 +90,15 @@ class GCFilterWorker {
         if (!config.queue_api_url) throw new Error('Missing queue_api_url in config');
         if (!config.link_harvester_api_key) throw new Error('Missing link_harvester_api_key in config');
 
+        // The only cooldown state manager in the process - FilterService and ConnectionManager get this one
         this.cooldownStateManager = new CooldownStateManager(this.instanceId, {
-        QUEUE_API_URL: config.queue_api_url,
-        API_KEY: config.link_harvester_api_key
+            QUEUE_API_URL: config.queue_api_url,
+            API_KEY: config.link_harvester_api_key
         });
+        this.cooldownPolicy = new CooldownPolicy(config.cooldown);
+
+        // Guards the admin endpoints (ban history, Steam Guard email codes); without one they are disabled
+        this.adminToken = process.env.GC_FILTER_WORKER_ADMIN_TOKEN || (config.steam_guard && config.steam_guard.admin_token) || null;
 
         this.setupEventHandlers();
     }
@@ -163,14 +141,28 @@ class GCFilterWorker {
 
         this.healthServer = http.createServer((req, res) => {
             if (req.url === '/health' || req.url === '/') {
+                // An open circuit is a downstream outage, not a reason for the platform to restart us - still 200
+                const circuitBreakers = this.filterWorker ? this.filterWorker.getCircuitBreakerStates() : {};
+                const degraded = Object.values(circuitBreakers).some(breaker => breaker.state !== 'closed');
+                // A worker stopped for bad credentials needs an operator; a platform restart would not fix it
+                const fatalFailure = this.filterWorker ? this.filterWorker.fatalFailure : null;
+                const steamGuard = this.filterWorker ? this.filterWorker.steamGuard.getStatus() : null;
+
                 res.writeHead(200, { 'Content-Type': 'application/json' });
                 res.end(JSON.stringify({
-                    status: 'ok',
+                    status: fatalFailure ? 'failed' : degraded ? 'degraded' : 'ok',
                     uptime: process.uptime(),
                     filterWorker: {
-                        running: this.filterWorkerRunning
+                        running: this.filterWorkerRunning,
+                        fatalFailure,
+                        steamGuard,
+                        circuitBreakers
                     }
                 }));
+            } else if (req.url === '/bans' || req.url.startsWith('/bans?')) {
+                this.handleBansRequest(req, res);
+            } else if (req.url === '/steam-guard/email-code' && req.method === 'POST') {
+                this.handleEmailCodeRequest(req, res);
             } else {
                 res.writeHead(404, { 'Content-Type': 'text/plain' });
                 res.end('Not Found');
@@ -182,6 +174,99 @@ class GCFilterWorker {
         });
     }
 
+    /**
+     * Check the X-Admin-Token header. Returns null when it matches, else { status, error } to answer with.
+     */
+    checkAdminToken(req) {
+        if (!this.adminToken) {
+            return { status: 403, error: 'No admin token configured (steam_guard.admin_token or GC_FILTER_WORKER_ADMIN_TOKEN)' };
+        }
+        const given = Buffer.from(String(req.headers['x-admin-token'] || ''));
+        const expected = Buffer.from(this.adminToken);
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return { status: 401, error: 'Invalid admin token' };
+        }
+        return null;
+    }
+
+    /**
+     * GET /bans?since=<ISO time>&limit=<n> with an X-Admin-Token header - ban events for this instance
+     * (account names included) and what they say about safe rates
+     */
+    async handleBansRequest(req, res) {
+        const respond = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        const denied = this.checkAdminToken(req);
+        if (denied) {
+            logToFile('Rejected ban history request: invalid admin token', 'error');
+            return respond(denied.status, { error: denied.error });
+        }
+
+        const query = new URL(req.url, 'http://localhost').searchParams;
+        const since = query.get('since');
+        const limit = query.get('limit');
+        if (since && Number.isNaN(new Date(since).getTime())) {
+            return respond(400, { error: `Invalid since: ${since} (expected an ISO time)` });
+        }
+        if (limit && !/^[1-9]\d*$/.test(limit)) {
+            return respond(400, { error: `Invalid limit: ${limit} (expected a positive integer)` });
+        }
+
+        try {
+            const bans = await this.cooldownStateManager.listBans({
+                since: since || undefined,
+                limit: limit ? parseInt(limit, 10) : 0
+            });
+            respond(200, { instance_id: this.instanceId, summary: summarizeBans(bans), bans });
+        } catch (error) {
+            logToFile(`Error serving ban history: ${error.message}`, 'error');
+            respond(500, { error: error.message });
+        }
+    }
+
+    /**
+     * POST /steam-guard/email-code {"code": "ABCDE"} with an X-Admin-Token header - answers a waiting
+     * Steam Guard email prompt
+     */
+    async handleEmailCodeRequest(req, res) {
+        const respond = (status, body) => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        };
+
+        const denied = this.checkAdminToken(req);
+        if (denied) {
+            logToFile('Rejected Steam Guard email code submission: invalid admin token', 'error');
+            return respond(denied.status, { error: denied.error });
+        }
+
+        let code;
+        try {
+            let raw = '';
+            for await (const chunk of req) {
+                raw += chunk;
+                if (raw.length > 1024) throw new Error('Body too large');
+            }
+            code = JSON.parse(raw || '{}').code;
+        } catch (error) {
+            return respond(400, { error: `Invalid body: ${error.message}` });
+        }
+
+        if (!this.filterWorker) {
+            return respond(409, { error: 'Filter worker is not running' });
+        }
+        const result = this.filterWorker.steamGuard.submitEmailCode(code);
+        if (!result.accepted) {
+            const waiting = this.filterWorker.steamGuard.state === 'awaiting_email_code';
+            return respond(waiting ? 400 : 409, { error: result.error, steam_guard: this.filterWorker.steamGuard.getStatus() });
+        }
+        logToFile('📧 Steam Guard email code submitted through the admin endpoint');
+        respond(202, { accepted: true, steam_guard: this.filterWorker.steamGuard.getStatus() });
+    }
+
     async start() {
         if (this.running) {
             logToFile('Service is already running');
@@ -208,11 +293,10 @@ class GCFilterWorker {
             logToFile('4. Can run multiple instances with different Steam accounts');
             logToFile('');
             logToFile('ESCALATING COOLDOWN STRATEGY:');
-            CONFIG.COOLDOWN_LEVELS.forEach((minutes, level) => {
-                const hours = minutes === 0 ? '0 (no cooldown)' : minutes < 60 ? `${minutes}min` : `${minutes/60}h`;
-                logToFile(`Level ${level}: ${hours}`);
+            this.cooldownPolicy.levels.forEach((minutes, level) => {
+                logToFile(`Level ${level}: ${minutes === 0 ? '0 (no cooldown)' : formatMinutes(minutes)}`);
             });
-            logToFile('Strategy: 30min → 1h → 2h → 4h → 8h (resets to 30min on success or max)');
+            logToFile(`Strategy: ${this.cooldownPolicy.describeStrategy()}`);
             logToFile('');
 
             // Check and start filter service
@@ -248,8 +332,8 @@ class GCFilterWorker {
         }
 
         const cooldownState = await loadCooldownStateAsync(this.cooldownStateManager);
-        const remainingCooldown = getRemainingCooldownTime(cooldownState);
-        const cooldownInfo = getCooldownLevelInfo(cooldownState.cooldownLevel);
+        const remainingCooldown = this.cooldownPolicy.remainingMs(cooldownState);
+        const cooldownInfo = this.cooldownPolicy.describeLevel(cooldownState.cooldownLevel);
 
         if (remainingCooldown > 0) {
             const remainingHours = (remainingCooldown / (60 * 60 * 1000)).toFixed(1);
@@ -264,12 +348,12 @@ class GCFilterWorker {
             logToFile(`   - Total bans: ${cooldownState.totalBanCount}`, 'error');
 
             // Show next escalation level
-            const nextLevel = Math.min(cooldownState.cooldownLevel + 1, CONFIG.COOLDOWN_LEVELS.length - 1);
-            const nextCooldownInfo = getCooldownLevelInfo(nextLevel);
+            const nextLevel = this.cooldownPolicy.nextLevel(cooldownState.cooldownLevel);
+            const nextCooldownInfo = this.cooldownPolicy.describeLevel(nextLevel);
             if (nextLevel > cooldownState.cooldownLevel) {
                 logToFile(`   - Next failure → Level ${nextLevel} (${nextCooldownInfo.minutes}min / ${nextCooldownInfo.hours}h)`, 'error');
             } else {
-                logToFile(`   - At maximum cooldown level`, 'error');
+                logToFile(`   - At maximum cooldown level (next failure → Level ${nextLevel})`, 'error');
             }
 
             // Schedule restart after cooldown
@@ -318,7 +402,10 @@ class GCFilterWorker {
         logToFile('🚀 Starting Game Coordinator Filter Service Worker...');
 
         try {
-            this.filterWorker = new FilterService();
+            this.filterWorker = new FilterService({
+                stateManager: this.cooldownStateManager,
+                policy: this.cooldownPolicy
+            });
             await this.filterWorker.start();
             this.filterWorkerRunning = true;
 
@@ -347,9 +434,8 @@ class GCFilterWorker {
         }
 
         this.filterRestartTimer = setTimeout(() => {
-            const cooldownState = loadCooldownState();
-            const cooldownInfo = getCooldownLevelInfo(cooldownState.cooldownLevel);
-            logToFile(`⚡ Cooldown level ${cooldownInfo.level} expired, restarting Filter Service Worker...`);
+            this.filterRestartTimer = null;
+            logToFile(`⚡ Cooldown level ${this.cooldownStateManager.state.cooldownLevel} expired, restarting Filter Service Worker...`);
             this.startFilterWorker();
         }, delayMs);
     }
@@ -385,6 +471,16 @@ class GCFilterWorker {
             if (this.filterWorker && typeof this.filterWorker.isRunning === 'function') {
                 const isRunning = this.filterWorker.isRunning();
 
+                // Stopped by a failure a restart cannot fix - stay down until an operator intervenes
+                if (!isRunning && this.filterWorker.fatalFailure) {
+                    if (this.reportedFatalFailure !== this.filterWorker.fatalFailure) {
+                        this.reportedFatalFailure = this.filterWorker.fatalFailure;
+                        const { category, reason } = this.filterWorker.fatalFailure;
+                        logToFile(`🛑 Filter worker stopped by a ${category} failure (${reason}) - not restarting`, 'error');
+                    }
+                    return;
+                }
+
                 // Check if ban period has expired
                 if (!isRunning && this.filterWorker.isBanned) {
                     const banEndTime = this.filterWorker.banEndTime || 0;
@@ -405,6 +501,11 @@ class GCFilterWorker {
                     return;
                 }
 
+                // Not processing because the login waits on a Steam Guard code - a restart would only lose the prompt
+                if (!isRunning && this.filterWorker.steamGuard.isPending()) {
+                    return;
+                }
+
                 if (!isRunning && !this.filterWorker.isBanned) {
                     logToFile('🔍 Filter worker died unexpectedly (not banned) - restarting...');
                     this.filterWorkerRunning = false;
@@ -462,9 +563,9 @@ class GCFilterWorker {
     }
 
     getStatus() {
-        const cooldownState = loadCooldownState();
-        const remainingCooldown = getRemainingCooldownTime(cooldownState);
-        const cooldownInfo = getCooldownLevelInfo(cooldownState.cooldownLevel);
+        const cooldownState = this.cooldownStateManager.state;
+        const remainingCooldown = this.cooldownPolicy.remainingMs(cooldownState);
+        const cooldownInfo = this.cooldownPolicy.describeLevel(cooldownState.cooldownLevel);
 
         let internalBanInfo = {
             isBanned: false,
@@ -501,10 +602,13 @@ class GCFilterWorker {
                 cooldownLevel: cooldownState.cooldownLevel,
                 cooldownInfo: cooldownInfo,
                 totalBans: cooldownState.totalBanCount,
+                cooldownDecay: this.cooldownPolicy.getInfo(cooldownState).decay,
                 nextRestartTime: remainingCooldown > 0 ? new Date(Date.now() + remainingCooldown).toISOString() : null,
-                escalationLevels: CONFIG.COOLDOWN_LEVELS,
-                cooldownStrategy: 'Escalating: 30min → 1h → 2h → 4h → 8h (resets on success)',
+                escalationLevels: this.cooldownPolicy.levels,
+                cooldownStrategy: `Escalating: ${this.cooldownPolicy.describeStrategy()}`,
                 internalBan: internalBanInfo,
+                fatalFailure: this.filterWorker ? this.filterWorker.fatalFailure : null,
+                steamGuard: this.filterWorker ? this.filterWorker.steamGuard.getStatus() : null,
                 stats: filterStats
             },
             uptime: process.uptime(),
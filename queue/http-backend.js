@@ -0,0 +1,135 @@
+// gc-filter-worker/queue/http-backend.js - Queue backend over the node_api_service HTTP API
+const { HttpClient, HttpStatusError } = require('../utils/http-client');
+
+/**
+ * HttpQueueBackend - The filter/validator queues as exposed by node_api_service.
+ * Every call goes through one HttpClient, so it shares keep-alive, retries, metrics and the breaker.
+ */
+class HttpQueueBackend {
+    constructor(instanceId, options) {
+        this.instanceId = instanceId;
+        this.api = new HttpClient({
+            name: 'queue-api',
+            baseUrl: options.url,
+            apiKey: options.apiKey,
+            timeout: 30000,
+            breaker: options.breaker,
+            healthEndpoint: options.healthEndpoint ?? null,
+            ...options.retryPolicy
+        });
+        this.name = this.api.name;
+        this.breaker = this.api.breaker;
+    }
+
+    async claim(count, options = {}) {
+        const startTime = Date.now();
+        const waitSeconds = options.waitSeconds || 0;
+
+        const body = { instance_id: this.instanceId, count };
+        if (options.leaseSeconds) {
+            body.lease_seconds = options.leaseSeconds;
+        }
+        if (waitSeconds > 0) {
+            body.wait_seconds = waitSeconds;
+        }
+
+        // Not retried: a claim whose response was lost would claim a second batch
+        const response = await this.api.request('POST', 'queue/filter/claim', {
+            body,
+            retries: 0,
+            ...(waitSeconds > 0 && { timeout: this.api.timeout + waitSeconds * 1000 })
+        });
+
+        // An API without long-poll support answers an empty claim at once
+        const items = response.items || [];
+        const longPolled = waitSeconds > 0 && items.length === 0 && Date.now() - startTime >= waitSeconds * 800;
+        return { items, longPolled };
+    }
+
+    async renew(itemIds, leaseSeconds) {
+        try {
+            const response = await this.api.request('POST', 'queue/filter/renew', {
+                body: {
+                    instance_id: this.instanceId,
+                    items: itemIds,
+                    lease_seconds: leaseSeconds
+                }
+            });
+            return { supported: true, lost: (response.lost || []).map(String) };
+        } catch (error) {
+            // Older queue API without leases - claims simply never expire there
+            if (error instanceof HttpStatusError && error.statusCode === 404) {
+                return { supported: false, lost: [] };
+            }
+            throw error;
+        }
+    }
+
+    async complete(itemIds, options = {}) {
+        const body = { instance_id: this.instanceId, items: itemIds };
+        if (options.reason) {
+            body.reason = options.reason;
+        }
+
+        const response = await this.api.request('POST', 'queue/filter/complete', {
+            body,
+            idempotencyKey: options.idempotencyKey
+        });
+        return { alreadyApplied: !!response.already_applied };
+    }
+
+    async release(itemIds, options = {}) {
+        const response = await this.api.request('POST', 'queue/filter/release', {
+            body: { instance_id: this.instanceId, items: itemIds },
+            idempotencyKey: options.idempotencyKey
+        });
+        return { alreadyApplied: !!response.already_applied };
+    }
+
+    async releaseInstance() {
+        const response = await this.api.request('POST', 'queue/filter/release-instance', {
+            body: { instance_id: this.instanceId }
+        });
+        return response.released_count || 0;
+    }
+
+    async recordFailure(itemId, options = {}) {
+        const response = await this.api.request('POST', 'queue/filter/failures', {
+            body: {
+                instance_id: this.instanceId,
+                id: itemId,
+                increment: options.increment || 1,
+                error: options.error
+            },
+            idempotencyKey: options.idempotencyKey
+        });
+        // Without a count nothing could ever reach the dead-letter limit - FailureTracker counts locally instead
+        if (!Number.isFinite(response.failure_count)) {
+            throw new Error(`queue/filter/failures returned no numeric failure_count (got ${JSON.stringify(response.failure_count)})`);
+        }
+        return response.failure_count;
+    }
+
+    async deadLetter(items, options = {}) {
+        await this.api.request('POST', 'queue/filter/dead-letter', {
+            body: { instance_id: this.instanceId, items },
+            idempotencyKey: options.idempotencyKey
+        });
+    }
+
+    async addToValidator(username, steamIds, options = {}) {
+        const response = await this.api.request('POST', 'queue/validator/add', {
+            body: { [username]: steamIds },
+            idempotencyKey: options.idempotencyKey
+        });
+        return { alreadyApplied: !!response.already_applied };
+    }
+
+    probe() {
+        return this.api.probe();
+    }
+
+    async close() {}
+}
+
+module.exports = HttpQueueBackend;
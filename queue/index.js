@@ -0,0 +1,70 @@
+// gc-filter-worker/queue/index.js - Queue backend selection
+const path = require('path');
+const HttpQueueBackend = require('./http-backend');
+const MemoryQueueBackend = require('./memory-backend');
+const RedisQueueBackend = require('./redis-backend');
+const MemoryQueueStore = require('./memory-store');
+
+/**
+ * Every backend is bound to one instance ID and implements:
+ *
+ *   claim(count, { leaseSeconds, waitSeconds })          → { items: [{ id, username }], longPolled }
+ *   renew(itemIds, leaseSeconds)                         → { supported, lost: [id] }
+ *   complete(itemIds, { reason, idempotencyKey })        → { alreadyApplied }
+ *   release(itemIds, { idempotencyKey })                 → { alreadyApplied }
+ *   releaseInstance()                                    → number of released claims
+ *   recordFailure(itemId, { increment, error, idempotencyKey }) → total failure count
+ *   deadLetter([{ id, username, failure_count, last_error }], { idempotencyKey })
+ *   addToValidator(username, steamIds, { idempotencyKey }) → { alreadyApplied }
+ *   probe()  → true once the backend is reachable (half-open breaker probe)
+ *   close()
+ *
+ * plus `name` and `breaker` (a CircuitBreaker, or null for in-process backends).
+ * Failures are thrown; a refused call throws CircuitOpenError.
+ */
+
+/**
+ * Build the configured backend.
+ * options: { type: 'http' | 'redis' | 'memory' | 'file', url, health_endpoint, key_prefix, path }
+ * context: { queueApiUrl, apiKey, breaker, retryPolicy } - the http backend defaults to queue_api_url
+ */
+function createQueueBackend(instanceId, options = {}, context = {}) {
+    const type = options.type || 'http';
+
+    switch (type) {
+        case 'http':
+            return new HttpQueueBackend(instanceId, {
+                url: options.url || context.queueApiUrl,
+                healthEndpoint: options.health_endpoint,
+                apiKey: context.apiKey,
+                breaker: context.breaker,
+                retryPolicy: context.retryPolicy
+            });
+
+        case 'redis':
+            return new RedisQueueBackend(instanceId, {
+                url: options.url,
+                keyPrefix: options.key_prefix,
+                breaker: context.breaker
+            });
+
+        case 'memory':
+            return new MemoryQueueBackend(instanceId);
+
+        case 'file':
+            return new MemoryQueueBackend(instanceId, {
+                path: options.path || path.join(__dirname, '../data/queue-state.json')
+            });
+
+        default:
+            throw new Error(`Unknown queue backend type "${type}"`);
+    }
+}
+
+module.exports = {
+    createQueueBackend,
+    HttpQueueBackend,
+    MemoryQueueBackend,
+    RedisQueueBackend,
+    MemoryQueueStore
+};
@@ -0,0 +1,82 @@
+// gc-filter-worker/queue/memory-backend.js - Queue backend on an in-process (optionally file-backed) store
+const MemoryQueueStore = require('./memory-store');
+
+// How often a long-poll claim looks for new items
+const LONG_POLL_INTERVAL_MS = 500;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * MemoryQueueBackend - For local runs without node_api_service or Redis.
+ * Seed it through enqueue() (or the mock API server); with a path the queue survives restarts.
+ */
+class MemoryQueueBackend {
+    constructor(instanceId, options = {}) {
+        this.instanceId = instanceId;
+        this.store = options.store || new MemoryQueueStore({ path: options.path });
+        this.name = options.path ? 'file-queue' : 'memory-queue';
+        this.breaker = null; // Nothing to break - it lives in this process
+    }
+
+    async claim(count, options = {}) {
+        const deadline = Date.now() + (options.waitSeconds || 0) * 1000;
+
+        while (true) {
+            const items = this.store.claim(this.instanceId, count, options.leaseSeconds);
+            if (items.length > 0 || Date.now() >= deadline) {
+                return { items, longPolled: !!options.waitSeconds && items.length === 0 };
+            }
+            await delay(LONG_POLL_INTERVAL_MS);
+        }
+    }
+
+    async renew(itemIds, leaseSeconds) {
+        return { supported: true, lost: this.store.renew(this.instanceId, itemIds, leaseSeconds) };
+    }
+
+    async complete(itemIds, options = {}) {
+        const { alreadyApplied } = this.store.once(options.idempotencyKey,
+            () => this.store.complete(this.instanceId, itemIds, options.reason));
+        return { alreadyApplied };
+    }
+
+    async release(itemIds, options = {}) {
+        const { alreadyApplied } = this.store.once(options.idempotencyKey,
+            () => this.store.release(this.instanceId, itemIds));
+        return { alreadyApplied };
+    }
+
+    async releaseInstance() {
+        return this.store.releaseInstance(this.instanceId);
+    }
+
+    async recordFailure(itemId, options = {}) {
+        const { result } = this.store.once(options.idempotencyKey,
+            () => this.store.recordFailure(itemId, options.increment || 1, options.error));
+        return result;
+    }
+
+    async deadLetter(items, options = {}) {
+        this.store.once(options.idempotencyKey, () => this.store.deadLetter(this.instanceId, items));
+    }
+
+    async addToValidator(username, steamIds, options = {}) {
+        const { alreadyApplied } = this.store.once(options.idempotencyKey,
+            () => this.store.addToValidator(username, steamIds));
+        return { alreadyApplied };
+    }
+
+    enqueue(items) {
+        return this.store.enqueue(items);
+    }
+
+    async probe() {
+        return true;
+    }
+
+    async close() {}
+}
+
+module.exports = MemoryQueueBackend;
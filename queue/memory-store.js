@@ -0,0 +1,270 @@
+// gc-filter-worker/queue/memory-store.js - In-process filter/validator queue state, optionally persisted to a file
+const fs = require('fs');
+const path = require('path');
+
+// Idempotency keys are remembered this long
+const IDEMPOTENCY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Completed IDs kept for inspection
+const MAX_RECENT_COMPLETED = 1000;
+
+function emptyState() {
+    return {
+        pending: [],        // [{ id, username }] in claim order
+        claims: {},         // id → { id, username, instance_id, expires_at (null = no lease) }
+        failures: {},       // id → { count, last_error }
+        dead_letter: [],    // [{ id, username, failure_count, last_error, instance_id, dead_lettered_at }]
+        validator: [],      // [{ id, username, added_at }]
+        completed: [],      // [{ id, instance_id, reason, completed_at }] most recent last
+        idempotency: {},    // key → { at, result }
+        counters: { enqueued: 0, claimed: 0, completed: 0, released: 0, expired: 0, dead_lettered: 0 }
+    };
+}
+
+/**
+ * MemoryQueueStore - The same queue semantics node_api_service provides (claims with leases,
+ * complete/release, failure counts, dead-letter and validator queues), kept in memory.
+ * With a path, every mutation is written to a JSON file so state survives restarts.
+ * One store serves any number of instance IDs - it backs both the memory queue backend and the
+ * mock API server. A file is only safe to use from one process at a time.
+ */
+class MemoryQueueStore {
+    constructor(options = {}) {
+        this.path = options.path ? path.resolve(options.path) : null;
+        this.state = emptyState();
+
+        if (this.path) {
+            this.load();
+        }
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.path)) {
+                this.state = { ...emptyState(), ...JSON.parse(fs.readFileSync(this.path, 'utf8')) };
+            }
+        } catch (error) {
+            throw new Error(`Cannot load queue state from ${this.path}: ${error.message}`);
+        }
+    }
+
+    save() {
+        if (!this.path) return;
+
+        fs.mkdirSync(path.dirname(this.path), { recursive: true });
+        const tmpPath = `${this.path}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.state));
+        fs.renameSync(tmpPath, this.path);
+    }
+
+    /**
+     * Run a mutation at most once per idempotency key; a repeat returns the first result
+     */
+    once(key, mutate) {
+        const now = Date.now();
+        for (const [storedKey, entry] of Object.entries(this.state.idempotency)) {
+            if (now - entry.at > IDEMPOTENCY_TTL_MS) {
+                delete this.state.idempotency[storedKey];
+            }
+        }
+
+        if (key && this.state.idempotency[key]) {
+            return { alreadyApplied: true, result: this.state.idempotency[key].result };
+        }
+
+        const result = mutate();
+        if (key) {
+            this.state.idempotency[key] = { at: now, result: result === undefined ? null : result };
+        }
+        this.save();
+        return { alreadyApplied: false, result };
+    }
+
+    /**
+     * The first result recorded under an idempotency key, or null if the key is new
+     */
+    appliedResult(key) {
+        const entry = this.state.idempotency[key];
+        return entry && Date.now() - entry.at <= IDEMPOTENCY_TTL_MS ? entry.result : null;
+    }
+
+    /**
+     * Put expired leases back at the end of the pending list
+     */
+    requeueExpired() {
+        const now = Date.now();
+        for (const claim of Object.values(this.state.claims)) {
+            if (claim.expires_at !== null && claim.expires_at <= now) {
+                delete this.state.claims[claim.id];
+                this.state.pending.push({ id: claim.id, username: claim.username });
+                this.state.counters.expired++;
+            }
+        }
+    }
+
+    isQueued(id) {
+        return !!this.state.claims[id] || this.state.pending.some(item => item.id === id);
+    }
+
+    /**
+     * Add IDs to the filter queue, skipping ones already pending or claimed. Returns how many were added.
+     */
+    enqueue(items) {
+        let added = 0;
+        for (const item of items) {
+            const id = String(item.id);
+            if (this.isQueued(id)) continue;
+
+            this.state.pending.push({ id, username: item.username });
+            added++;
+        }
+
+        this.state.counters.enqueued += added;
+        this.save();
+        return added;
+    }
+
+    claim(instanceId, count, leaseSeconds = 0) {
+        this.requeueExpired();
+
+        const items = this.state.pending.splice(0, Math.max(0, count));
+        const expiresAt = leaseSeconds > 0 ? Date.now() + leaseSeconds * 1000 : null;
+
+        for (const item of items) {
+            this.state.claims[item.id] = { ...item, instance_id: instanceId, expires_at: expiresAt };
+        }
+
+        this.state.counters.claimed += items.length;
+        this.save();
+        return items;
+    }
+
+    ownedBy(instanceId, id) {
+        const claim = this.state.claims[String(id)];
+        return claim && claim.instance_id === instanceId ? claim : null;
+    }
+
+    /**
+     * Extend leases; returns the IDs this instance no longer holds
+     */
+    renew(instanceId, itemIds, leaseSeconds) {
+        this.requeueExpired();
+
+        const lost = [];
+        for (const id of itemIds.map(String)) {
+            const claim = this.ownedBy(instanceId, id);
+            if (claim) {
+                claim.expires_at = Date.now() + leaseSeconds * 1000;
+            } else {
+                lost.push(id);
+            }
+        }
+
+        this.save();
+        return lost;
+    }
+
+    complete(instanceId, itemIds, reason = null) {
+        let completed = 0;
+        for (const id of itemIds.map(String)) {
+            if (!this.ownedBy(instanceId, id)) continue;
+
+            delete this.state.claims[id];
+            delete this.state.failures[id];
+            this.state.completed.push({ id, instance_id: instanceId, reason, completed_at: new Date().toISOString() });
+            completed++;
+        }
+
+        if (this.state.completed.length > MAX_RECENT_COMPLETED) {
+            this.state.completed.splice(0, this.state.completed.length - MAX_RECENT_COMPLETED);
+        }
+        this.state.counters.completed += completed;
+        this.save();
+        return completed;
+    }
+
+    release(instanceId, itemIds) {
+        let released = 0;
+        for (const id of itemIds.map(String)) {
+            const claim = this.ownedBy(instanceId, id);
+            if (!claim) continue;
+
+            delete this.state.claims[id];
+            this.state.pending.push({ id, username: claim.username });
+            released++;
+        }
+
+        this.state.counters.released += released;
+        this.save();
+        return released;
+    }
+
+    releaseInstance(instanceId) {
+        const owned = Object.values(this.state.claims)
+            .filter(claim => claim.instance_id === instanceId)
+            .map(claim => claim.id);
+
+        return this.release(instanceId, owned);
+    }
+
+    recordFailure(itemId, increment = 1, error = null) {
+        const id = String(itemId);
+        const entry = this.state.failures[id] || { count: 0, last_error: null };
+        entry.count += increment;
+        entry.last_error = error;
+        this.state.failures[id] = entry;
+        this.save();
+        return entry.count;
+    }
+
+    deadLetter(instanceId, items) {
+        for (const item of items) {
+            const id = String(item.id);
+            if (this.ownedBy(instanceId, id)) {
+                delete this.state.claims[id];
+            }
+            delete this.state.failures[id];
+
+            this.state.dead_letter.push({
+                id,
+                username: item.username,
+                failure_count: item.failure_count,
+                last_error: item.last_error,
+                instance_id: instanceId,
+                dead_lettered_at: new Date().toISOString()
+            });
+        }
+
+        this.state.counters.dead_lettered += items.length;
+        this.save();
+    }
+
+    addToValidator(username, steamIds) {
+        const addedAt = new Date().toISOString();
+        steamIds.forEach(id => this.state.validator.push({ id: String(id), username, added_at: addedAt }));
+        this.save();
+        return steamIds.length;
+    }
+
+    /**
+     * Queue contents and counters for inspection
+     */
+    inspect() {
+        this.requeueExpired();
+
+        return {
+            pending: this.state.pending.length,
+            claimed: Object.keys(this.state.claims).length,
+            dead_letter: this.state.dead_letter.length,
+            validator: this.state.validator.length,
+            counters: this.state.counters,
+            claims: Object.values(this.state.claims),
+            failures: this.state.failures,
+            dead_letter_items: this.state.dead_letter,
+            validator_items: this.state.validator,
+            recent_completed: this.state.completed.slice(-50)
+        };
+    }
+}
+
+module.exports = MemoryQueueStore;
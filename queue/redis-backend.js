@@ -0,0 +1,358 @@
+// gc-filter-worker/queue/redis-backend.js - Queue backend talking to Redis directly (no HTTP hop)
+const fs = require('fs');
+const path = require('path');
+const { CircuitOpenError } = require('../utils/http-client');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [REDIS-QUEUE] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+const COMMAND_TIMEOUT_MS = 10000;
+const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// Shared by the scripts below: leases that ran out go back to the end of the pending list
+const REQUEUE_EXPIRED = `
+local function requeue_expired(pending, claims, items, now)
+    local expired = redis.call('ZRANGEBYSCORE', claims, '-inf', now)
+    for _, id in ipairs(expired) do
+        local raw = redis.call('HGET', items, id)
+        redis.call('ZREM', claims, id)
+        redis.call('HDEL', items, id)
+        if raw then
+            local item = cjson.decode(raw)
+            redis.call('RPUSH', pending, cjson.encode({ id = item.id, username = item.username }))
+        end
+    end
+end
+`;
+
+// Mutations take ARGV[1] = '1' when keyed; a key seen before makes the script return { 0, ... }
+const IDEMPOTENCY_GUARD = `
+if ARGV[1] == '1' and not redis.call('SET', KEYS[#KEYS], '1', 'NX', 'EX', ${IDEMPOTENCY_TTL_SECONDS}) then
+    return { 0, 0 }
+end
+`;
+
+const OWNED_BY = `
+local function owned_by(items, id, instance)
+    local raw = redis.call('HGET', items, id)
+    if raw and cjson.decode(raw).instance_id == instance then
+        return cjson.decode(raw)
+    end
+    return nil
+end
+`;
+
+const SCRIPTS = {
+    // KEYS: pending, claims, items  ARGV: instance, count, now, expires_at
+    claim: `${REQUEUE_EXPIRED}
+requeue_expired(KEYS[1], KEYS[2], KEYS[3], ARGV[3])
+local claimed = {}
+for i = 1, tonumber(ARGV[2]) do
+    local raw = redis.call('LPOP', KEYS[1])
+    if not raw then break end
+    local item = cjson.decode(raw)
+    item.instance_id = ARGV[1]
+    redis.call('HSET', KEYS[3], item.id, cjson.encode(item))
+    redis.call('ZADD', KEYS[2], ARGV[4], item.id)
+    claimed[#claimed + 1] = raw
+end
+return claimed`,
+
+    // KEYS: pending, claims, items  ARGV: instance, now, expires_at, ids...  → lost ids
+    renew: `${REQUEUE_EXPIRED}${OWNED_BY}
+requeue_expired(KEYS[1], KEYS[2], KEYS[3], ARGV[2])
+local lost = {}
+for i = 4, #ARGV do
+    if owned_by(KEYS[3], ARGV[i], ARGV[1]) then
+        redis.call('ZADD', KEYS[2], ARGV[3], ARGV[i])
+    else
+        lost[#lost + 1] = ARGV[i]
+    end
+end
+return lost`,
+
+    // KEYS: claims, items, failures, failure_errors, idempotency  ARGV: keyed, instance, ids...
+    complete: `${OWNED_BY}${IDEMPOTENCY_GUARD}
+local n = 0
+for i = 3, #ARGV do
+    if owned_by(KEYS[2], ARGV[i], ARGV[2]) then
+        redis.call('ZREM', KEYS[1], ARGV[i])
+        redis.call('HDEL', KEYS[2], ARGV[i])
+        redis.call('HDEL', KEYS[3], ARGV[i])
+        redis.call('HDEL', KEYS[4], ARGV[i])
+        n = n + 1
+    end
+end
+return { 1, n }`,
+
+    // KEYS: pending, claims, items, idempotency  ARGV: keyed, instance, ids... (or '*' for every owned claim)
+    release: `${OWNED_BY}${IDEMPOTENCY_GUARD}
+local ids = {}
+if ARGV[3] == '*' then
+    local all = redis.call('HGETALL', KEYS[3])
+    for i = 1, #all, 2 do
+        ids[#ids + 1] = all[i]
+    end
+else
+    for i = 3, #ARGV do
+        ids[#ids + 1] = ARGV[i]
+    end
+end
+local n = 0
+for _, id in ipairs(ids) do
+    local item = owned_by(KEYS[3], id, ARGV[2])
+    if item then
+        redis.call('ZREM', KEYS[2], id)
+        redis.call('HDEL', KEYS[3], id)
+        redis.call('RPUSH', KEYS[1], cjson.encode({ id = item.id, username = item.username }))
+        n = n + 1
+    end
+end
+return { 1, n }`,
+
+    // KEYS: failures, failure_errors, idempotency  ARGV: keyed, id, increment, error
+    failure: `
+if ARGV[1] == '1' and not redis.call('SET', KEYS[3], '1', 'NX', 'EX', ${IDEMPOTENCY_TTL_SECONDS}) then
+    return { 0, tonumber(redis.call('HGET', KEYS[1], ARGV[2]) or '0') }
+end
+local count = redis.call('HINCRBY', KEYS[1], ARGV[2], tonumber(ARGV[3]))
+redis.call('HSET', KEYS[2], ARGV[2], ARGV[4])
+return { 1, count }`,
+
+    // KEYS: claims, items, failures, failure_errors, dead_letter, idempotency  ARGV: keyed, instance, now, items (JSON)...
+    dead_letter: `${OWNED_BY}${IDEMPOTENCY_GUARD}
+for i = 4, #ARGV do
+    local entry = cjson.decode(ARGV[i])
+    if owned_by(KEYS[2], entry.id, ARGV[2]) then
+        redis.call('ZREM', KEYS[1], entry.id)
+        redis.call('HDEL', KEYS[2], entry.id)
+    end
+    redis.call('HDEL', KEYS[3], entry.id)
+    redis.call('HDEL', KEYS[4], entry.id)
+    entry.instance_id = ARGV[2]
+    entry.dead_lettered_at = ARGV[3]
+    redis.call('RPUSH', KEYS[5], cjson.encode(entry))
+end
+return { 1, #ARGV - 3 }`,
+
+    // KEYS: validator, idempotency  ARGV: keyed, username, now, ids...
+    validator_add: `${IDEMPOTENCY_GUARD}
+for i = 4, #ARGV do
+    redis.call('RPUSH', KEYS[1], cjson.encode({ id = ARGV[i], username = ARGV[2], added_at = ARGV[3] }))
+end
+return { 1, #ARGV - 3 }`
+};
+
+/**
+ * RedisQueueBackend - The filter/validator queues kept directly in Redis, with the same semantics
+ * as the HTTP API: leased claims (sorted set of expiry times), complete/release, failure counts,
+ * dead-letter and validator lists. Every multi-key change runs as one Lua script, so concurrent
+ * instances never see half-applied state.
+ *
+ * Keys (prefix defaults to "gc-filter:"):
+ *   filter:pending        list of { id, username } JSON, claimed from the left
+ *   filter:claims         sorted set id → lease expiry (ms, +inf without a lease)
+ *   filter:claim-items    hash id → { id, username, instance_id } JSON
+ *   filter:failures       hash id → failure count (filter:failure-errors: id → last error)
+ *   filter:dead-letter    list of dead-lettered items
+ *   validator:pending     list of { id, username, added_at } JSON
+ *   idempotency:<key>     set for a day after a keyed mutation
+ */
+class RedisQueueBackend {
+    constructor(instanceId, options = {}) {
+        // Required lazily so the redis package is only needed when this backend is configured
+        const { createClient } = require('redis');
+
+        this.instanceId = instanceId;
+        this.prefix = options.keyPrefix || 'gc-filter:';
+        this.name = 'redis-queue';
+        this.breaker = options.breaker || null;
+
+        this.keys = {
+            pending: `${this.prefix}filter:pending`,
+            claims: `${this.prefix}filter:claims`,
+            items: `${this.prefix}filter:claim-items`,
+            failures: `${this.prefix}filter:failures`,
+            failureErrors: `${this.prefix}filter:failure-errors`,
+            deadLetter: `${this.prefix}filter:dead-letter`,
+            validator: `${this.prefix}validator:pending`
+        };
+
+        // Fail fast while disconnected instead of queueing commands - the breaker needs to see outages
+        this.client = createClient({
+            url: options.url || 'redis://localhost:6379',
+            disableOfflineQueue: true,
+            socket: {
+                connectTimeout: 5000,
+                reconnectStrategy: retries => Math.min(retries * 500, 5000)
+            }
+        });
+
+        this.lastErrorLogged = 0;
+        this.client.on('error', (error) => {
+            // The client retries on its own; one log line per 30 seconds is enough
+            if (Date.now() - this.lastErrorLogged > 30000) {
+                this.lastErrorLogged = Date.now();
+                logToFile(`Redis connection error: ${error.message}`, 'error');
+            }
+        });
+        this.client.on('ready', () => logToFile(`Connected to Redis (key prefix "${this.prefix}")`));
+
+        this.client.connect().catch((error) => {
+            logToFile(`Initial Redis connection failed: ${error.message}`, 'error');
+        });
+    }
+
+    idempotencyKey(key) {
+        return `${this.prefix}idempotency:${key || 'none'}`;
+    }
+
+    /**
+     * Run a script behind the breaker, with a timeout
+     */
+    async run(operation, script, keys, args) {
+        if (this.breaker && !this.breaker.canAttempt()) {
+            throw new CircuitOpenError(`${this.name} ${operation} not sent: circuit open`,
+                { client: this.name, method: 'EVAL', endpoint: operation });
+        }
+
+        let timer;
+        try {
+            const result = await Promise.race([
+                this.client.eval(SCRIPTS[script], { keys, arguments: args.map(String) }),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => reject(new Error(`${operation} timed out after ${COMMAND_TIMEOUT_MS}ms`)), COMMAND_TIMEOUT_MS);
+                })
+            ]);
+            if (this.breaker) this.breaker.recordSuccess();
+            return result;
+        } catch (error) {
+            if (this.breaker) this.breaker.recordFailure(error);
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    async claim(count, options = {}) {
+        const deadline = Date.now() + (options.waitSeconds || 0) * 1000;
+        const leaseMs = (options.leaseSeconds || 0) * 1000;
+
+        // Long-poll by re-checking once a second until the wait runs out
+        while (true) {
+            const now = Date.now();
+            const raw = await this.run('claim', 'claim',
+                [this.keys.pending, this.keys.claims, this.keys.items],
+                [this.instanceId, count, now, leaseMs > 0 ? now + leaseMs : '+inf']);
+
+            const items = raw.map(entry => JSON.parse(entry));
+            if (items.length > 0 || Date.now() >= deadline) {
+                return { items, longPolled: !!options.waitSeconds && items.length === 0 };
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+    }
+
+    async renew(itemIds, leaseSeconds) {
+        const now = Date.now();
+        const lost = await this.run('renew', 'renew',
+            [this.keys.pending, this.keys.claims, this.keys.items],
+            [this.instanceId, now, now + leaseSeconds * 1000, ...itemIds]);
+        return { supported: true, lost };
+    }
+
+    async complete(itemIds, options = {}) {
+        const [applied] = await this.run('complete', 'complete',
+            [this.keys.claims, this.keys.items, this.keys.failures, this.keys.failureErrors, this.idempotencyKey(options.idempotencyKey)],
+            [options.idempotencyKey ? '1' : '0', this.instanceId, ...itemIds]);
+        return { alreadyApplied: applied === 0 };
+    }
+
+    async release(itemIds, options = {}) {
+        const [applied] = await this.run('release', 'release',
+            [this.keys.pending, this.keys.claims, this.keys.items, this.idempotencyKey(options.idempotencyKey)],
+            [options.idempotencyKey ? '1' : '0', this.instanceId, ...itemIds]);
+        return { alreadyApplied: applied === 0 };
+    }
+
+    async releaseInstance() {
+        const [, released] = await this.run('release-instance', 'release',
+            [this.keys.pending, this.keys.claims, this.keys.items, this.idempotencyKey(null)],
+            ['0', this.instanceId, '*']);
+        return released;
+    }
+
+    async recordFailure(itemId, options = {}) {
+        const [, count] = await this.run('failure', 'failure',
+            [this.keys.failures, this.keys.failureErrors, this.idempotencyKey(options.idempotencyKey)],
+            [options.idempotencyKey ? '1' : '0', itemId, options.increment || 1, options.error || '']);
+        return count;
+    }
+
+    async deadLetter(items, options = {}) {
+        await this.run('dead-letter', 'dead_letter',
+            [this.keys.claims, this.keys.items, this.keys.failures, this.keys.failureErrors, this.keys.deadLetter,
+                this.idempotencyKey(options.idempotencyKey)],
+            [options.idempotencyKey ? '1' : '0', this.instanceId, new Date().toISOString(),
+                ...items.map(item => JSON.stringify({ ...item, id: String(item.id) }))]);
+    }
+
+    async addToValidator(username, steamIds, options = {}) {
+        const [applied] = await this.run('validator-add', 'validator_add',
+            [this.keys.validator, this.idempotencyKey(options.idempotencyKey)],
+            [options.idempotencyKey ? '1' : '0', username, new Date().toISOString(), ...steamIds]);
+        return { alreadyApplied: applied === 0 };
+    }
+
+    /**
+     * Seed the filter queue (local runs and tests against a scratch redis-server)
+     */
+    async enqueue(items) {
+        const entries = items.map(item => JSON.stringify({ id: String(item.id), username: item.username }));
+        if (entries.length === 0) return 0;
+        await this.client.rPush(this.keys.pending, entries);
+        return entries.length;
+    }
+
+    /**
+     * Any answer from Redis closes a half-open breaker
+     */
+    async probe() {
+        if (this.breaker && !this.breaker.canAttempt()) {
+            return false;
+        }
+
+        try {
+            await this.client.ping();
+            if (this.breaker) this.breaker.recordSuccess();
+        } catch (error) {
+            if (this.breaker) this.breaker.recordFailure(error);
+        }
+        return !this.breaker || this.breaker.isClosed();
+    }
+
+    async close() {
+        try {
+            await this.client.quit();
+        } catch (error) {
+            // Already disconnected
+        }
+    }
+}
+
+module.exports = RedisQueueBackend;
@@ -0,0 +1,33 @@
+// gc-filter-worker/steam/index.js - Steam/GC client selection
+const SteamUser = require('steam-user');
+const GlobalOffensive = require('globaloffensive');
+const { SteamSimulator } = require('./simulator');
+
+/**
+ * Build the Steam and GC clients FilterService talks to.
+ * options: { type: 'steam' | 'simulator', ...simulator options (see SteamSimulator) }
+ * Returns { steamClient, csgo, simulator } - simulator is null for real Steam.
+ */
+function createSteamClients(options = {}) {
+    const type = options.type || 'steam';
+
+    switch (type) {
+        case 'steam': {
+            const steamClient = new SteamUser();
+            return { steamClient, csgo: new GlobalOffensive(steamClient), simulator: null };
+        }
+
+        case 'simulator': {
+            const simulator = new SteamSimulator(options);
+            return { steamClient: simulator.steamClient, csgo: simulator.csgo, simulator };
+        }
+
+        default:
+            throw new Error(`Unknown steam_client type "${type}"`);
+    }
+}
+
+module.exports = {
+    createSteamClients,
+    SteamSimulator
+};
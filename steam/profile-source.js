@@ -0,0 +1,104 @@
+// gc-filter-worker/steam/profile-source.js - Synthetic requestPlayersProfile payloads for the Steam simulator
+const fs = require('fs');
+const path = require('path');
+const SteamID = require('steamid');
+
+// Medal defindexes seen on real profiles (service coins, operation coins, pins)
+const MEDAL_POOL = [874, 875, 876, 4551, 4552, 4553, 4554, 1331, 1332, 1341, 1342, 4873, 4874, 6001, 6002, 6034];
+
+/**
+ * mulberry32 - small seeded PRNG, so a seed reproduces the same run
+ */
+function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Uniform integer in [min, max]
+ */
+function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
+
+/**
+ * ProfileSource - Profiles from a fixture (same line format as tools/replay-profiles.js), and generated
+ * ones for every other account. A generated profile depends only on the seed and the account ID.
+ */
+class ProfileSource {
+    constructor(options = {}) {
+        this.seed = options.seed;
+        this.fixture = new Map();
+
+        if (options.path) {
+            this.loadFixture(path.resolve(options.path));
+        }
+    }
+
+    loadFixture(filePath) {
+        const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+
+        lines.forEach((line, index) => {
+            if (!line.trim()) return;
+
+            const record = JSON.parse(line);
+            const profile = record.profile || record;
+            const accountId = record.steam_id ? new SteamID(String(record.steam_id)).accountid : profile.account_id;
+
+            if (!accountId) {
+                throw new Error(`${filePath} line ${index + 1}: no steam_id or account_id`);
+            }
+            this.fixture.set(accountId, { ...profile, account_id: accountId });
+        });
+    }
+
+    get(accountId) {
+        return this.fixture.get(accountId) || this.generate(accountId);
+    }
+
+    generate(accountId) {
+        const random = createRandom(this.seed ^ accountId);
+        const medalCount = random() < 0.3 ? 0 : randomInt(random, 1, 8);
+        const pool = [...MEDAL_POOL];
+        const medals = [];
+        while (medals.length < medalCount) {
+            medals.push(pool.splice(randomInt(random, 0, pool.length - 1), 1)[0]);
+        }
+        const penalized = random() < 0.05;
+
+        return {
+            account_id: accountId,
+            ongoingmatch: null,
+            global_stats: null,
+            penalty_seconds: penalized ? randomInt(random, 1800, 604800) : 0,
+            penalty_reason: penalized ? randomInt(random, 1, 10) : 0,
+            vac_banned: random() < 0.02 ? 1 : 0,
+            ranking: random() < 0.2 ? null : {
+                account_id: accountId,
+                rank_id: randomInt(random, 0, 18),
+                wins: randomInt(random, 0, 800),
+                rank_type_id: [6, 7, 10, 11][randomInt(random, 0, 3)]
+            },
+            commendation: {
+                cmd_friendly: randomInt(random, 0, 150),
+                cmd_teaching: randomInt(random, 0, 80),
+                cmd_leader: randomInt(random, 0, 80)
+            },
+            medals: {
+                display_items_defidx: medals,
+                featured_display_item_defidx: medals.length > 0 ? medals[0] : null
+            },
+            my_current_event_teams: [],
+            player_level: randomInt(random, 1, 40),
+            player_cur_xp: 327680000 + randomInt(random, 0, 5000)
+        };
+    }
+}
+
+module.exports = { ProfileSource, createRandom };
@@ -0,0 +1,407 @@
+// gc-filter-worker/steam/simulator.js - Simulated Steam and GC clients for running the worker without Steam
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const SteamID = require('steamid');
+const SteamUser = require('steam-user');
+const GlobalOffensive = require('globaloffensive');
+const { ProfileSource, createRandom } = require('./profile-source');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [STEAM-SIM] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+const CS2_APP_ID = 730;
+
+// Script actions and the triggers that can fire them
+const ACTIONS = ['gc_disconnect', 'gc_blackout', 'steam_disconnect', 'steam_error', 'drop', 'slow', 'steam_guard'];
+const TRIGGERS = ['after_requests', 'after_seconds', 'on_login'];
+
+function seconds(value, fallback) {
+    return (value ?? fallback) * 1000;
+}
+
+function eresultName(eresult) {
+    return Object.keys(SteamUser.EResult).find(name => SteamUser.EResult[name] === eresult) || `EResult ${eresult}`;
+}
+
+/**
+ * Stand-in for SteamUser: the members FilterService and ConnectionManager use
+ */
+class SimulatedSteamUser extends EventEmitter {
+    constructor(simulator) {
+        super();
+        this.simulator = simulator;
+        this.steamID = null;
+    }
+
+    logOn(details) {
+        this.simulator.handleLogOn(details);
+    }
+
+    logOff() {
+        this.simulator.handleLogOff();
+    }
+
+    setPersona() {}
+
+    gamesPlayed(apps) {
+        this.simulator.handleGamesPlayed(apps);
+    }
+}
+
+/**
+ * Stand-in for GlobalOffensive: GC session events and requestPlayersProfile
+ */
+class SimulatedGlobalOffensive extends EventEmitter {
+    constructor(simulator) {
+        super();
+        this.simulator = simulator;
+        this.haveGCSession = false;
+    }
+
+    requestPlayersProfile(steamid, callback) {
+        this.simulator.handleProfileRequest(steamid, callback);
+    }
+}
+
+/**
+ * SteamSimulator - Drives a simulated Steam/GC session. Profiles come from a fixture or are generated;
+ * failures are injected at random rates or by a script of timed events, so connection loss, soft bans
+ * and recovery can be reproduced without touching Steam.
+ *
+ * options (from config.json steam_client, times in seconds):
+ *   profiles, seed, login_delay, gc_connect_delay, response_delay_min, response_delay_max,
+ *   drop_rate, slow_rate, slow_delay, gc_never_connects, time_offset (Steam's clock minus ours),
+ *   script: [{ after_requests | after_seconds | on_login, action, ...action options }]
+ */
+class SteamSimulator {
+    constructor(options = {}) {
+        this.seed = options.seed ?? Math.floor(Math.random() * 2 ** 31);
+        this.random = createRandom(this.seed);
+        this.profiles = new ProfileSource({ path: options.profiles, seed: this.seed });
+
+        this.loginDelay = seconds(options.login_delay, 1);
+        this.gcConnectDelay = seconds(options.gc_connect_delay, 2);
+        this.responseDelayMin = seconds(options.response_delay_min, 0.1);
+        this.responseDelayMax = seconds(options.response_delay_max, 0.5);
+        this.dropRate = options.drop_rate || 0;
+        this.slowRate = options.slow_rate || 0;
+        this.slowDelay = seconds(options.slow_delay, 60);
+        this.gcNeverConnects = !!options.gc_never_connects;
+        this.timeOffset = options.time_offset || 0;
+        this.script = this.parseScript(options.script || []);
+
+        this.steamClient = new SimulatedSteamUser(this);
+        this.csgo = new SimulatedGlobalOffensive(this);
+
+        // Armed by script actions
+        this.blackoutConnects = 0;      // GC connection attempts still to swallow (Infinity = until restart)
+        this.pendingDrops = 0;
+        this.pendingSlow = 0;
+        this.pendingSlowDelay = this.slowDelay;
+        this.pendingGuard = null;       // { domain, wrongCodes } - the next logon asks for a Steam Guard code
+
+        this.timers = new Set();
+        this.sessionTimers = new Set();
+        this.firstLoginTime = null;
+        this.stats = {
+            logins: 0,
+            gc_connects: 0,
+            gc_connects_swallowed: 0,
+            requests: 0,
+            answered: 0,
+            dropped: 0,
+            slow: 0,
+            unanswered_no_session: 0,
+            guard_prompts: 0,
+            guard_codes_rejected: 0,
+            fired: []
+        };
+
+        const source = options.profiles ? `${this.profiles.fixture.size} fixture profiles from ${options.profiles}, others generated` : 'generated profiles';
+        logToFile(`🧪 Steam simulator active (seed ${this.seed}, ${source}, ${this.script.length} scripted events)`);
+    }
+
+    parseScript(script) {
+        return script.map((event, index) => {
+            if (!ACTIONS.includes(event.action)) {
+                throw new Error(`steam_client.script[${index}]: unknown action "${event.action}" (expected ${ACTIONS.join(', ')})`);
+            }
+            const trigger = TRIGGERS.find(name => event[name] !== undefined);
+            if (!trigger) {
+                throw new Error(`steam_client.script[${index}]: needs one of ${TRIGGERS.join(', ')}`);
+            }
+            return { ...event, trigger, index, fired: false };
+        });
+    }
+
+    schedule(fn, ms, { session = true } = {}) {
+        const set = session ? this.sessionTimers : this.timers;
+        const timer = setTimeout(() => {
+            set.delete(timer);
+            fn();
+        }, ms);
+        set.add(timer);
+        return timer;
+    }
+
+    clearSessionTimers() {
+        this.sessionTimers.forEach(timer => clearTimeout(timer));
+        this.sessionTimers.clear();
+    }
+
+    handleLogOn(details) {
+        this.stats.logins++;
+        logToFile(`Log on requested for ${details.accountName || 'unnamed account'} (attempt ${this.stats.logins})`);
+
+        this.schedule(() => {
+            if (this.fireTriggered('on_login', this.stats.logins)) {
+                return; // A scripted login failure
+            }
+
+            if (this.pendingGuard) {
+                // For app codes the prompt means the code sent with logOn was rejected
+                const appCodeRejected = !this.pendingGuard.domain && !!details.twoFactorCode;
+                if (appCodeRejected) {
+                    this.pendingGuard.wrongCodes = Math.max(0, this.pendingGuard.wrongCodes - 1);
+                    this.stats.guard_codes_rejected++;
+                }
+                this.promptGuard(appCodeRejected);
+                return;
+            }
+
+            this.completeLogOn();
+        }, this.loginDelay);
+    }
+
+    /**
+     * Ask for a Steam Guard code the way steam-user does; the logon finishes once a code is accepted
+     */
+    promptGuard(lastCodeWrong) {
+        const guard = this.pendingGuard;
+        this.stats.guard_prompts++;
+
+        this.steamClient.emit('steamGuard', guard.domain, (code) => {
+            this.schedule(() => {
+                if (this.pendingGuard !== guard) return; // Logged off meanwhile
+
+                if (guard.wrongCodes > 0) {
+                    guard.wrongCodes--;
+                    this.stats.guard_codes_rejected++;
+                    logToFile(`Steam Guard code ${String(code).substring(0, 2)}*** rejected`);
+                    this.promptGuard(true);
+                    return;
+                }
+
+                logToFile(`Steam Guard code ${String(code).substring(0, 2)}*** accepted`);
+                this.pendingGuard = null;
+                this.completeLogOn();
+            }, this.loginDelay);
+        }, lastCodeWrong);
+    }
+
+    completeLogOn() {
+        this.steamClient.steamID = SteamID.fromIndividualAccountID(100000000 + (this.seed % 1000000));
+        this.steamClient.emit('loggedOn', { eresult: SteamUser.EResult.OK });
+
+        if (this.firstLoginTime === null) {
+            this.firstLoginTime = Date.now();
+            this.script.filter(event => event.trigger === 'after_seconds').forEach(event => {
+                this.schedule(() => this.fire(event), event.after_seconds * 1000, { session: false });
+            });
+        }
+    }
+
+    /**
+     * Same signature as SteamTotp.getTimeOffset, answered with the simulated clock skew
+     */
+    getTimeOffset(callback) {
+        setImmediate(() => callback(null, this.timeOffset, 0));
+    }
+
+    handleLogOff() {
+        this.pendingGuard = null;
+        this.dropSession();
+        if (this.steamClient.steamID) {
+            this.steamClient.steamID = null;
+            this.steamClient.emit('disconnected', 0, 'Logged off');
+        }
+    }
+
+    handleGamesPlayed(apps) {
+        const playing = apps.map(app => (typeof app === 'object' ? app.game_id : app)).map(Number);
+
+        if (!playing.includes(CS2_APP_ID)) {
+            this.endGcSession();
+            return;
+        }
+        if (!this.steamClient.steamID || this.csgo.haveGCSession) {
+            return;
+        }
+
+        if (this.gcNeverConnects || this.blackoutConnects > 0) {
+            this.blackoutConnects = Math.max(0, this.blackoutConnects - 1);
+            this.stats.gc_connects_swallowed++;
+            logToFile('GC connection attempt swallowed (blackout)');
+            return;
+        }
+
+        this.schedule(() => {
+            if (!this.steamClient.steamID || this.csgo.haveGCSession) return;
+
+            this.csgo.haveGCSession = true;
+            this.stats.gc_connects++;
+            this.csgo.emit('connectedToGC');
+        }, this.gcConnectDelay);
+    }
+
+    handleProfileRequest(steamid, callback) {
+        this.stats.requests++;
+        this.fireTriggered('after_requests', this.stats.requests);
+
+        // Without a session the real client never sends the request, so it just times out
+        if (!this.csgo.haveGCSession) {
+            this.stats.unanswered_no_session++;
+            return;
+        }
+
+        if (this.pendingDrops > 0 || this.random() < this.dropRate) {
+            this.pendingDrops = Math.max(0, this.pendingDrops - 1);
+            this.stats.dropped++;
+            return;
+        }
+
+        let responseDelay = this.responseDelayMin + this.random() * (this.responseDelayMax - this.responseDelayMin);
+        if (this.pendingSlow > 0 || this.random() < this.slowRate) {
+            responseDelay = this.pendingSlow > 0 ? this.pendingSlowDelay : this.slowDelay;
+            this.pendingSlow = Math.max(0, this.pendingSlow - 1);
+            this.stats.slow++;
+        }
+
+        const accountId = steamid.accountid ?? new SteamID(String(steamid)).accountid;
+        this.schedule(() => {
+            // A session lost while the request was in flight takes the answer with it
+            if (!this.csgo.haveGCSession) return;
+
+            this.stats.answered++;
+            callback(this.profiles.get(accountId));
+        }, responseDelay);
+    }
+
+    /**
+     * Fire the first unfired script events for this trigger whose threshold was reached.
+     * Returns true if one of them ended the Steam session.
+     */
+    fireTriggered(trigger, value) {
+        let sessionEnded = false;
+        for (const event of this.script) {
+            if (event.trigger === trigger && !event.fired && value >= event[trigger]) {
+                sessionEnded = this.fire(event) || sessionEnded;
+            }
+        }
+        return sessionEnded;
+    }
+
+    fire(event) {
+        if (event.fired) return false;
+        event.fired = true;
+        this.stats.fired.push({ index: event.index, action: event.action, at: new Date().toISOString() });
+        logToFile(`⚡ Scripted event #${event.index}: ${event.action} (${event.trigger} ${event[event.trigger]})`, 'error');
+
+        switch (event.action) {
+            case 'gc_disconnect':
+                this.endGcSession();
+                return false;
+
+            case 'gc_blackout':
+                // Ends the session too, so the worker has to reconnect into the blackout
+                this.blackoutConnects = event.connects ?? Infinity;
+                this.endGcSession();
+                return false;
+
+            case 'drop':
+                this.pendingDrops += event.count ?? 1;
+                return false;
+
+            case 'slow':
+                this.pendingSlow += event.count ?? 1;
+                this.pendingSlowDelay = seconds(event.delay, this.slowDelay / 1000);
+                return false;
+
+            case 'steam_guard':
+                // domain set: an email code; otherwise an app code, and the one sent with logOn is rejected
+                this.pendingGuard = { domain: event.domain || null, wrongCodes: event.wrong_codes ?? (event.domain ? 0 : 1) };
+                return false;
+
+            case 'steam_disconnect': {
+                const eresult = event.eresult ?? SteamUser.EResult.NoConnection;
+                // Like steam-user, the Steam session is gone before the GC session reports its loss
+                this.steamClient.steamID = null;
+                this.dropSession();
+                this.steamClient.emit('disconnected', eresult, event.message || eresultName(eresult));
+                return true;
+            }
+
+            case 'steam_error': {
+                // steam-user reports fatal disconnects as an Error carrying the EResult
+                const eresult = event.eresult ?? SteamUser.EResult.ServiceUnavailable;
+                const error = new Error(event.message || eresultName(eresult));
+                error.eresult = eresult;
+                this.steamClient.steamID = null;
+                this.dropSession();
+                this.steamClient.emit('error', error);
+                return true;
+            }
+
+            default:
+                return false;
+        }
+    }
+
+    endGcSession() {
+        if (!this.csgo.haveGCSession) return;
+
+        this.csgo.haveGCSession = false;
+        this.csgo.emit('disconnectedFromGC', GlobalOffensive.GCConnectionStatus.NO_SESSION);
+    }
+
+    dropSession() {
+        this.clearSessionTimers();
+        this.endGcSession();
+    }
+
+    getStats() {
+        return {
+            seed: this.seed,
+            logged_on: !!this.steamClient.steamID,
+            gc_session: this.csgo.haveGCSession,
+            blackout_connects_left: this.gcNeverConnects || this.blackoutConnects === Infinity ? 'all' : this.blackoutConnects,
+            script_events_pending: this.script.filter(event => !event.fired).length,
+            steam_guard_pending: !!this.pendingGuard,
+            ...this.stats
+        };
+    }
+
+    close() {
+        this.clearSessionTimers();
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+    }
+}
+
+module.exports = { SteamSimulator, SimulatedSteamUser, SimulatedGlobalOffensive };
@@ -0,0 +1,344 @@
+// gc-filter-worker/steam/steam-guard.js - Answers steam-user's steamGuard prompts instead of leaving the login hanging
+const fs = require('fs');
+const path = require('path');
+const SteamTotp = require('steam-totp');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [STEAM-GUARD] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+const TOTP_PERIOD_MS = 30000;
+const TIME_OFFSET_TTL_MS = 60 * 60 * 1000;
+const TIME_OFFSET_TIMEOUT_MS = 10000;
+const EMAIL_CODE_PATTERN = /^[A-Z0-9]{5}$/;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * SteamGuardHandler - Answers steamGuard prompts.
+ *
+ * App codes (mobile authenticator) come from the maFile's shared_secret on Steam's clock: the offset from
+ * SteamTotp.getTimeOffset is cached for an hour and refetched after a rejected code. A rejected code is
+ * never sent twice - the next one waits for the next 30s window. After max_app_code_attempts rejections
+ * the login is given up.
+ *
+ * Email codes need a person: the prompt waits for a code submitted through the admin endpoint or written
+ * to email_code_file, and is given up after email_code_timeout minutes.
+ *
+ * Giving up calls onFailure(message); the caller decides what that means (ConnectionManager stops the worker).
+ *
+ * options (from config.json steam_guard):
+ *   { max_app_code_attempts, email_code_file, email_code_timeout, email_code_poll_interval }
+ * deps: { maFile, getTimeOffset (SteamTotp.getTimeOffset signature), onFailure, onEmailCodeRequired }
+ */
+class SteamGuardHandler {
+    constructor(options = {}, deps = {}) {
+        this.maxAppCodeAttempts = options.max_app_code_attempts || 3;
+        this.emailCodeFile = options.email_code_file ? path.resolve(options.email_code_file) : null;
+        this.emailCodeTimeoutMs = (options.email_code_timeout || 30) * 60 * 1000;
+        this.emailCodePollMs = (options.email_code_poll_interval || 2) * 1000;
+
+        this.sharedSecret = deps.maFile ? deps.maFile.shared_secret : null;
+        this.getTimeOffset = deps.getTimeOffset || SteamTotp.getTimeOffset;
+        this.onFailure = deps.onFailure || (() => {});
+        this.onEmailCodeRequired = deps.onEmailCodeRequired || (() => {});
+
+        this.timeOffset = 0;
+        this.timeOffsetFetchedAt = 0;
+        this.timeOffsetError = null;
+
+        this.state = 'idle';
+        this.prompt = 0; // Bumped whenever a prompt is dropped, so an app code still being prepared is not sent
+        this.appCodeAttempts = 0;
+        this.lastAppCode = null;
+        this.lastCodeWrong = false;
+        this.emailDomain = null;
+        this.emailCallback = null;
+        this.emailRequestedAt = null;
+        this.emailTimer = null;
+        this.watching = false;
+        this.stats = { app_codes_sent: 0, app_codes_rejected: 0, email_codes_submitted: 0, email_codes_rejected: 0 };
+    }
+
+    /**
+     * Seconds to add to the local clock for Steam's, refetched when stale or forced
+     */
+    async syncTime(force = false) {
+        if (!force && this.timeOffsetFetchedAt && Date.now() - this.timeOffsetFetchedAt < TIME_OFFSET_TTL_MS) {
+            return this.timeOffset;
+        }
+
+        try {
+            const offset = await new Promise((resolve, reject) => {
+                const timer = setTimeout(() => reject(new Error('Steam time query timed out')), TIME_OFFSET_TIMEOUT_MS);
+                this.getTimeOffset((error, result) => {
+                    clearTimeout(timer);
+                    if (error) reject(error);
+                    else resolve(result);
+                });
+            });
+
+            if (offset !== this.timeOffset) {
+                logToFile(`🕒 Steam time offset ${offset}s (local clock ${offset > 0 ? 'behind' : offset < 0 ? 'ahead' : 'in sync'})`);
+            }
+            this.timeOffset = offset;
+            this.timeOffsetFetchedAt = Date.now();
+            this.timeOffsetError = null;
+        } catch (error) {
+            // Keep the last known offset - an unreachable time API should not block the login
+            this.timeOffsetError = error.message;
+            logToFile(`Could not query Steam time, using offset ${this.timeOffset}s: ${error.message}`, 'error');
+        }
+        return this.timeOffset;
+    }
+
+    /**
+     * Current app code on Steam's clock (null without a shared_secret). Remembered, so a rejected
+     * code - including the one sent with logOn - is not sent again.
+     */
+    async generateAuthCode(force = false) {
+        if (!this.sharedSecret) {
+            return null;
+        }
+        const offset = await this.syncTime(force);
+        this.lastAppCode = SteamTotp.generateAuthCode(this.sharedSecret, offset);
+        return this.lastAppCode;
+    }
+
+    /**
+     * The steamGuard event: (domain, callback, lastCodeWrong). domain is null for an app code.
+     */
+    handle(domain, callback, lastCodeWrong) {
+        if (domain) {
+            this.requestEmailCode(domain, callback, lastCodeWrong);
+        } else {
+            const prompt = this.prompt;
+            this.sendAppCode(callback, lastCodeWrong).catch(error => {
+                if (prompt !== this.prompt) return;
+                logToFile(`Error answering app code prompt: ${error.message}`, 'error');
+                this.fail(`app code could not be generated: ${error.message}`);
+            });
+        }
+    }
+
+    async sendAppCode(callback, lastCodeWrong) {
+        if (!this.sharedSecret) {
+            this.fail('Steam asked for an app code but the maFile has no shared_secret');
+            return;
+        }
+
+        if (lastCodeWrong) {
+            this.stats.app_codes_rejected++;
+        }
+        if (this.appCodeAttempts >= this.maxAppCodeAttempts) {
+            this.fail(`app code rejected ${this.appCodeAttempts} times`);
+            return;
+        }
+
+        this.state = 'sending_app_code';
+        this.lastCodeWrong = !!lastCodeWrong;
+        this.appCodeAttempts++;
+        const prompt = this.prompt;
+
+        // A rejection may be clock skew - ask Steam for its time again
+        const rejectedCode = this.lastAppCode;
+        let code = await this.generateAuthCode(lastCodeWrong);
+        if (lastCodeWrong && code === rejectedCode) {
+            const offsetMs = this.timeOffset * 1000;
+            const waitMs = TOTP_PERIOD_MS - ((Date.now() + offsetMs) % TOTP_PERIOD_MS) + 1000;
+            logToFile(`Rejected code is still current - waiting ${Math.round(waitMs / 1000)}s for the next one`);
+            await delay(waitMs);
+            if (prompt !== this.prompt) {
+                logToFile('App code prompt was dropped while waiting for the next code - not answering it');
+                return;
+            }
+            code = await this.generateAuthCode();
+        }
+
+        // A new login, a failure or a logoff while the code was being prepared - this callback is stale
+        if (prompt !== this.prompt) {
+            logToFile('App code prompt was dropped before the code was ready - not answering it');
+            return;
+        }
+
+        logToFile(`🔑 Sending app code ${code.substring(0, 2)}*** (attempt ${this.appCodeAttempts}/${this.maxAppCodeAttempts}, offset ${this.timeOffset}s)`);
+        this.stats.app_codes_sent++;
+        callback(code);
+    }
+
+    requestEmailCode(domain, callback, lastCodeWrong) {
+        if (lastCodeWrong) {
+            this.stats.email_codes_rejected++;
+            logToFile(`❌ Email code for ${domain} was rejected - waiting for another one`, 'error');
+        }
+
+        this.state = 'awaiting_email_code';
+        this.emailDomain = domain;
+        this.emailCallback = callback;
+        this.lastCodeWrong = !!lastCodeWrong;
+        this.emailRequestedAt = Date.now();
+
+        const sources = ['POST /steam-guard/email-code', this.emailCodeFile].filter(Boolean).join(' or ');
+        logToFile(`📧 Steam sent a login code to the ${domain} mailbox - submit it via ${sources} within ${Math.round(this.emailCodeTimeoutMs / 60000)}min`, 'error');
+        this.onEmailCodeRequired(domain);
+
+        clearTimeout(this.emailTimer);
+        this.emailTimer = setTimeout(() => {
+            this.fail(`no email code within ${Math.round(this.emailCodeTimeoutMs / 60000)}min`);
+        }, this.emailCodeTimeoutMs);
+
+        this.watchEmailCodeFile();
+    }
+
+    watchEmailCodeFile() {
+        if (!this.emailCodeFile || this.watching) return;
+
+        this.watching = true;
+        fs.watchFile(this.emailCodeFile, { interval: this.emailCodePollMs }, () => this.readEmailCodeFile());
+        this.readEmailCodeFile(); // The code may already be there
+    }
+
+    unwatchEmailCodeFile() {
+        if (!this.watching) return;
+
+        fs.unwatchFile(this.emailCodeFile);
+        this.watching = false;
+    }
+
+    readEmailCodeFile() {
+        if (this.state !== 'awaiting_email_code') return;
+
+        try {
+            if (!fs.existsSync(this.emailCodeFile)) return;
+            const code = fs.readFileSync(this.emailCodeFile, 'utf8').trim();
+            if (!code) return;
+
+            // Consumed either way, so a wrong or stale code is not read again
+            fs.unlinkSync(this.emailCodeFile);
+            const result = this.submitEmailCode(code);
+            if (!result.accepted) {
+                logToFile(`Ignored email code file: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            logToFile(`Error reading email code file: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Hand an email code to the waiting login. Returns { accepted, error }.
+     */
+    submitEmailCode(code) {
+        if (this.state !== 'awaiting_email_code' || !this.emailCallback) {
+            return { accepted: false, error: 'no email code is being waited for' };
+        }
+
+        code = String(code || '').trim().toUpperCase();
+        if (!EMAIL_CODE_PATTERN.test(code)) {
+            return { accepted: false, error: 'an email code is 5 letters or digits' };
+        }
+
+        const callback = this.emailCallback;
+        this.emailCallback = null;
+        clearTimeout(this.emailTimer);
+        this.emailTimer = null;
+        this.unwatchEmailCodeFile();
+
+        this.state = 'email_code_submitted';
+        this.stats.email_codes_submitted++;
+        logToFile(`📧 Email code ${code.substring(0, 2)}*** submitted for ${this.emailDomain}`);
+        callback(code);
+        return { accepted: true };
+    }
+
+    /**
+     * Logged in - the prompt, if any, was answered
+     */
+    onLoggedOn() {
+        if (this.state !== 'idle' && this.state !== 'ok') {
+            logToFile(`✅ Steam Guard passed (${this.state === 'email_code_submitted' ? 'email code' : `app code, attempt ${this.appCodeAttempts}`})`);
+        }
+        this.reset('ok');
+    }
+
+    /**
+     * A prompt is being answered or waits for an email code
+     */
+    isPending() {
+        return ['sending_app_code', 'awaiting_email_code', 'email_code_submitted'].includes(this.state);
+    }
+
+    /**
+     * A new logOn is starting - a prompt from the previous attempt can no longer be answered
+     */
+    cancel() {
+        if (this.isPending()) {
+            logToFile(`Previous Steam Guard prompt (${this.state}) dropped by a new login attempt`);
+            this.reset('idle');
+        }
+    }
+
+    fail(message) {
+        logToFile(`🚫 Steam Guard: ${message}`, 'error');
+        this.reset('failed');
+        this.failure = message;
+        this.onFailure(message);
+    }
+
+    reset(state) {
+        this.prompt++;
+        clearTimeout(this.emailTimer);
+        this.emailTimer = null;
+        this.unwatchEmailCodeFile();
+        this.emailCallback = null;
+        this.emailDomain = null;
+        this.emailRequestedAt = null;
+        this.appCodeAttempts = 0;
+        this.lastCodeWrong = false;
+        this.failure = null;
+        this.state = state;
+    }
+
+    getStatus() {
+        return {
+            state: this.state,
+            has_shared_secret: !!this.sharedSecret,
+            app_code_attempts: this.appCodeAttempts,
+            max_app_code_attempts: this.maxAppCodeAttempts,
+            last_code_wrong: this.lastCodeWrong,
+            time_offset_seconds: this.timeOffset,
+            time_offset_fetched_at: this.timeOffsetFetchedAt ? new Date(this.timeOffsetFetchedAt).toISOString() : null,
+            time_offset_error: this.timeOffsetError,
+            email_domain: this.emailDomain,
+            awaiting_email_code_since: this.emailRequestedAt ? new Date(this.emailRequestedAt).toISOString() : null,
+            email_code_expires_at: this.emailRequestedAt ? new Date(this.emailRequestedAt + this.emailCodeTimeoutMs).toISOString() : null,
+            email_code_file: this.emailCodeFile,
+            failure: this.failure || null,
+            ...this.stats
+        };
+    }
+
+    close() {
+        this.prompt++;
+        clearTimeout(this.emailTimer);
+        this.emailTimer = null;
+        this.unwatchEmailCodeFile();
+    }
+}
+
+module.exports = SteamGuardHandler;
@@ -0,0 +1,413 @@
+// gc-filter-worker/tools/mock-api-server.js - Local stand-in for node_api_service and the Django mark-processed API
+//
+// Usage:
+//   node tools/mock-api-server.js [--port <n>] [--fixture <file>] [--state <dir>] [--api-key <key>] [--quiet]
+//
+// Serves the filter/validator queue endpoints, cooldown/:instanceId (and its /bans history) and mark-processed with the same
+// { success: ... } envelope as production, so the worker can run fully offline. Point config.json at it:
+//   "queue_api_url": "http://localhost:8787/", "mark_processed_api_url": "http://localhost:8787/mark-processed/"
+//
+// The fixture seeds the filter queue, cooldown states and already-marked IDs (see tools/mock-api-fixture.example.json).
+// With --state, queue and API state are kept in that directory across restarts; otherwise everything is in memory.
+// GET _mock/inspect returns queue contents, cooldowns and marked IDs; POST _mock/seed takes a fixture as its body.
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const MemoryQueueStore = require('../queue/memory-store');
+
+// How often a long-poll claim looks for new items
+const LONG_POLL_INTERVAL_MS = 500;
+
+// Longest wait_seconds honoured, so a stray value cannot hold a connection open for good
+const MAX_WAIT_SECONDS = 60;
+
+function parseArgs(argv) {
+    const args = { port: 8787, fixture: null, state: null, apiKey: null, quiet: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--port') {
+            args.port = parseInt(argv[++i], 10);
+        } else if (arg === '--fixture') {
+            args.fixture = argv[++i];
+        } else if (arg === '--state') {
+            args.state = argv[++i];
+        } else if (arg === '--api-key') {
+            args.apiKey = argv[++i];
+        } else if (arg === '--quiet') {
+            args.quiet = true;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}\nUsage: node tools/mock-api-server.js [--port <n>] [--fixture <file>] [--state <dir>] [--api-key <key>] [--quiet]`);
+        }
+    }
+
+    if (Number.isNaN(args.port) || args.port < 0) {
+        throw new Error('--port must be a non-negative number');
+    }
+
+    return args;
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Items in either the validator/add shape ({ username: [ids] }) or as [{ id, username }]
+ */
+function toItems(body) {
+    if (Array.isArray(body)) {
+        return body.map(item => ({ id: String(item.id), username: item.username }));
+    }
+    if (Array.isArray(body.items)) {
+        return toItems(body.items);
+    }
+
+    return Object.entries(body).flatMap(([username, ids]) => {
+        if (!Array.isArray(ids)) {
+            throw new HttpError(400, `Expected a list of IDs for "${username}"`);
+        }
+        return ids.map(id => ({ id: String(id), username }));
+    });
+}
+
+function requireInstance(body) {
+    if (!body.instance_id) {
+        throw new HttpError(400, 'instance_id is required');
+    }
+    return body.instance_id;
+}
+
+function requireItems(body) {
+    if (!Array.isArray(body.items)) {
+        throw new HttpError(400, 'items must be a list');
+    }
+    return body.items.map(String);
+}
+
+/**
+ * MockApi - The endpoints, on top of a MemoryQueueStore for the queues and a small state file
+ * for cooldowns and marked IDs
+ */
+class MockApi {
+    constructor(options = {}) {
+        const stateDir = options.state ? path.resolve(options.state) : null;
+        this.store = new MemoryQueueStore({ path: stateDir && path.join(stateDir, 'queue-state.json') });
+        this.statePath = stateDir && path.join(stateDir, 'api-state.json');
+        this.apiKey = options.apiKey || null;
+        this.quiet = !!options.quiet;
+        this.state = { cooldowns: {}, bans: {}, marked: {} };
+
+        if (this.statePath && fs.existsSync(this.statePath)) {
+            this.state = { ...this.state, ...JSON.parse(fs.readFileSync(this.statePath, 'utf8')) };
+        }
+
+        this.routes = [
+            ['POST', /^queue\/filter\/add$/, (req) => this.addToFilter(req)],
+            ['POST', /^queue\/filter\/claim$/, (req) => this.claim(req)],
+            ['POST', /^queue\/filter\/renew$/, (req) => this.renew(req)],
+            ['POST', /^queue\/filter\/complete$/, (req) => this.complete(req)],
+            ['POST', /^queue\/filter\/release$/, (req) => this.release(req)],
+            ['POST', /^queue\/filter\/release-instance$/, (req) => this.releaseInstance(req)],
+            ['POST', /^queue\/filter\/failures$/, (req) => this.recordFailure(req)],
+            ['POST', /^queue\/filter\/dead-letter$/, (req) => this.deadLetter(req)],
+            ['POST', /^queue\/validator\/add$/, (req) => this.addToValidator(req)],
+            ['GET', /^cooldown$/, () => this.listCooldowns()],
+            ['GET', /^cooldown\/([^/]+)$/, (req, [id]) => this.getCooldown(id)],
+            ['POST', /^cooldown\/([^/]+)$/, (req, [id]) => this.saveCooldown(id, req)],
+            ['DELETE', /^cooldown\/([^/]+)$/, (req, [id]) => this.clearCooldown(id)],
+            ['GET', /^cooldown\/([^/]+)\/bans$/, (req, [id]) => this.listBans(id, req)],
+            ['POST', /^cooldown\/([^/]+)\/bans$/, (req, [id]) => this.recordBan(id, req)],
+            ['POST', /^mark-processed$/, (req) => this.markProcessed(req)],
+            ['GET', /^health$/, () => ({ success: true, status: 'ok' })],
+            ['GET', /^_mock\/inspect$/, () => this.inspect()],
+            ['POST', /^_mock\/seed$/, (req) => this.seed(req.body)],
+            ['GET', /^$/, () => ({ success: true, service: 'mock-api' })]
+        ];
+    }
+
+    save() {
+        if (!this.statePath) return;
+
+        fs.mkdirSync(path.dirname(this.statePath), { recursive: true });
+        const tmpPath = `${this.statePath}.tmp`;
+        fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+        fs.renameSync(tmpPath, this.statePath);
+    }
+
+    /**
+     * Load a fixture: { filter_queue, validator_queue, cooldowns, marked }
+     * The queues take either shape accepted by toItems().
+     */
+    seed(fixture = {}) {
+        const enqueued = fixture.filter_queue ? this.store.enqueue(toItems(fixture.filter_queue)) : 0;
+
+        let validator = 0;
+        if (fixture.validator_queue) {
+            for (const item of toItems(fixture.validator_queue)) {
+                validator += this.store.addToValidator(item.username, [item.id]);
+            }
+        }
+
+        Object.assign(this.state.cooldowns, fixture.cooldowns || {});
+        for (const id of fixture.marked || []) {
+            this.state.marked[String(id)] = this.state.marked[String(id)] || new Date().toISOString();
+        }
+        this.save();
+
+        return { success: true, enqueued, validator, cooldowns: Object.keys(fixture.cooldowns || {}).length, marked: (fixture.marked || []).length };
+    }
+
+    addToFilter(req) {
+        return { success: true, added: this.store.enqueue(toItems(req.body)) };
+    }
+
+    async claim(req) {
+        const instanceId = requireInstance(req.body);
+        const count = parseInt(req.body.count, 10) || 1;
+        const waitSeconds = Math.min(Number(req.body.wait_seconds) || 0, MAX_WAIT_SECONDS);
+        const deadline = Date.now() + waitSeconds * 1000;
+
+        while (true) {
+            const items = this.store.claim(instanceId, count, Number(req.body.lease_seconds) || 0);
+            if (items.length > 0 || Date.now() >= deadline || req.clientGone) {
+                return { success: true, items };
+            }
+            await delay(LONG_POLL_INTERVAL_MS);
+        }
+    }
+
+    renew(req) {
+        const lost = this.store.renew(requireInstance(req.body), requireItems(req.body), Number(req.body.lease_seconds) || 0);
+        return { success: true, lost };
+    }
+
+    complete(req) {
+        const completed = this.store.complete(requireInstance(req.body), requireItems(req.body), req.body.reason || null);
+        return { success: true, completed };
+    }
+
+    release(req) {
+        const released = this.store.release(requireInstance(req.body), requireItems(req.body));
+        return { success: true, released };
+    }
+
+    releaseInstance(req) {
+        return { success: true, released_count: this.store.releaseInstance(requireInstance(req.body)) };
+    }
+
+    recordFailure(req) {
+        if (!req.body.id) {
+            throw new HttpError(400, 'id is required');
+        }
+        const failureCount = this.store.recordFailure(req.body.id, Number(req.body.increment) || 1, req.body.error || null);
+        return { success: true, failure_count: failureCount };
+    }
+
+    deadLetter(req) {
+        const items = Array.isArray(req.body.items) ? req.body.items : [];
+        this.store.deadLetter(requireInstance(req.body), items);
+        return { success: true, dead_lettered: items.length };
+    }
+
+    addToValidator(req) {
+        let added = 0;
+        for (const item of toItems(req.body)) {
+            added += this.store.addToValidator(item.username, [item.id]);
+        }
+        return { success: true, added };
+    }
+
+    listCooldowns() {
+        return { success: true, cooldowns: this.state.cooldowns };
+    }
+
+    getCooldown(instanceId) {
+        const state = this.state.cooldowns[instanceId];
+        return state ? { success: true, found: true, state } : { success: true, found: false };
+    }
+
+    saveCooldown(instanceId, req) {
+        this.state.cooldowns[instanceId] = req.body;
+        this.save();
+        return { success: true };
+    }
+
+    clearCooldown(instanceId) {
+        const existed = !!this.state.cooldowns[instanceId];
+        delete this.state.cooldowns[instanceId];
+        this.save();
+        return { success: true, deleted: existed };
+    }
+
+    /**
+     * Ban events survive a cooldown reset - they are history, not state.
+     * Query: since (ISO time), limit (most recent N)
+     */
+    listBans(instanceId, req) {
+        const since = req.query.since ? new Date(req.query.since).getTime() : 0;
+        const limit = parseInt(req.query.limit, 10) || 0;
+        const bans = (this.state.bans[instanceId] || []).filter(event => new Date(event.at).getTime() >= since);
+        return { success: true, bans: limit ? bans.slice(-limit) : bans };
+    }
+
+    recordBan(instanceId, req) {
+        if (!req.body.at) {
+            throw new HttpError(400, 'at is required');
+        }
+        this.state.bans[instanceId] = this.state.bans[instanceId] || [];
+        this.state.bans[instanceId].push(req.body);
+        this.save();
+        return { success: true, count: this.state.bans[instanceId].length };
+    }
+
+    markProcessed(req) {
+        const steamId = req.body.steam_id && String(req.body.steam_id);
+        if (!steamId) {
+            throw new HttpError(400, 'steam_id is required');
+        }
+
+        const created = !this.state.marked[steamId];
+        if (created) {
+            this.state.marked[steamId] = new Date().toISOString();
+            this.save();
+        }
+        return { success: true, created };
+    }
+
+    inspect() {
+        return {
+            success: true,
+            queue: this.store.inspect(),
+            cooldowns: this.state.cooldowns,
+            bans: Object.fromEntries(Object.entries(this.state.bans).map(([id, events]) => [id, events.length])),
+            marked_count: Object.keys(this.state.marked).length,
+            marked: Object.keys(this.state.marked).slice(-50)
+        };
+    }
+
+    /**
+     * Route one request to its handler
+     */
+    async handle(req) {
+        if (this.apiKey && req.headers['x-api-key'] !== this.apiKey) {
+            throw new HttpError(401, 'Invalid API key');
+        }
+
+        const route = path.posix.normalize(req.pathname).replace(/^\/+|\/+$/g, '');
+        for (const [method, pattern, handler] of this.routes) {
+            const match = req.method === method && route.match(pattern);
+            if (match) {
+                return handler(req, match.slice(1).map(decodeURIComponent));
+            }
+        }
+
+        throw new HttpError(404, `No route for ${req.method} /${route}`);
+    }
+
+    /**
+     * A keyed POST/DELETE is applied once: a repeat answers 409 with the first response plus
+     * already_applied: true and the key, the way node_api_service reports an already-applied mutation
+     */
+    async respond(req, res) {
+        let statusCode;
+        let body;
+        const url = new URL(req.url, 'http://localhost');
+        req.pathname = url.pathname;
+        req.query = Object.fromEntries(url.searchParams);
+
+        try {
+            const raw = await readBody(req);
+            req.body = raw ? JSON.parse(raw) : {};
+            if (req.body === null || typeof req.body !== 'object') {
+                throw new HttpError(400, 'Body must be a JSON object or list');
+            }
+
+            const key = req.method !== 'GET' ? req.headers['idempotency-key'] : null;
+            const applied = key ? this.store.appliedResult(key) : null;
+            if (applied) {
+                statusCode = 409;
+                body = { ...applied, already_applied: true, idempotency_key: key };
+            } else {
+                statusCode = 200;
+                body = await this.handle(req);
+                if (key) {
+                    // Recorded only after the mutation went through, so a failed call can be retried
+                    this.store.once(key, () => body);
+                }
+            }
+        } catch (error) {
+            statusCode = error instanceof HttpError ? error.statusCode : (error instanceof SyntaxError ? 400 : 500);
+            body = { success: false, error: error.message };
+        }
+
+        if (!this.quiet) {
+            console.log(`[${new Date().toISOString()}] ${req.method} ${req.pathname} ${statusCode}`);
+        }
+
+        const payload = JSON.stringify(body);
+        res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) });
+        res.end(payload);
+    }
+
+    listen(port) {
+        this.server = http.createServer((req, res) => {
+            // Stops a long-poll claim early when the worker gives up on it
+            res.on('close', () => { req.clientGone = !res.writableFinished; });
+            this.respond(req, res);
+        });
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(port, () => resolve(this.server.address().port));
+        });
+    }
+
+    close() {
+        return new Promise(resolve => (this.server ? this.server.close(() => resolve()) : resolve()));
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const api = new MockApi(args);
+
+    if (args.fixture) {
+        const fixture = JSON.parse(fs.readFileSync(path.resolve(args.fixture), 'utf8'));
+        const seeded = api.seed(fixture);
+        console.log(`Seeded from ${args.fixture}: ${seeded.enqueued} filter queue IDs, ${seeded.validator} validator IDs, ${seeded.cooldowns} cooldown states, ${seeded.marked} marked IDs`);
+    }
+
+    const port = await api.listen(args.port);
+    console.log(`Mock API listening on http://localhost:${port}/ (mark-processed at /mark-processed/, inspect at /_mock/inspect)`);
+    console.log(args.state ? `State kept in ${path.resolve(args.state)}` : 'State is in memory only');
+
+    const shutdown = () => api.close().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = MockApi;
@@ -0,0 +1,205 @@
+// gc-filter-worker/tools/replay-profiles.js - Offline what-if evaluator for captured GC profiles
+//
+// Usage:
+//   node tools/replay-profiles.js <profiles.jsonl> [--rules <file>] [--compare <file>] [--username <name>] [--diff-limit <n>] [--json]
+//
+// Each line of the input is either a raw requestPlayersProfile payload or { "steam_id": ..., "username": ..., "profile": {...} }.
+// An ID captured more than once is replayed once, with its last capture.
+// Rule files may hold a rule set ({ version, rules }) or a full config.json with filter_rules / filter_profiles.
+// Each profile is evaluated with the filter profile for its username (--username overrides it).
+// Without --rules the built-in rule set is used. No Steam login is performed.
+const fs = require('fs');
+const path = require('path');
+const SteamID = require('steamid');
+const { FilterProfileRegistry } = require('../utils/filter-rules');
+
+function parseArgs(argv) {
+    const args = { input: null, rules: null, compare: null, username: null, diffLimit: 50, json: false };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--rules') {
+            args.rules = argv[++i];
+        } else if (arg === '--compare') {
+            args.compare = argv[++i];
+        } else if (arg === '--username') {
+            args.username = argv[++i];
+        } else if (arg === '--diff-limit') {
+            args.diffLimit = parseInt(argv[++i], 10);
+        } else if (arg === '--json') {
+            args.json = true;
+        } else if (!args.input) {
+            args.input = arg;
+        } else {
+            throw new Error(`Unexpected argument: ${arg}`);
+        }
+    }
+
+    if (!args.input) {
+        throw new Error('Usage: node tools/replay-profiles.js <profiles.jsonl> [--rules <file>] [--compare <file>] [--username <name>] [--diff-limit <n>] [--json]');
+    }
+    if (Number.isNaN(args.diffLimit) || args.diffLimit < 0) {
+        throw new Error('--diff-limit must be a non-negative number');
+    }
+
+    return args;
+}
+
+function loadRegistry(file) {
+    if (!file) {
+        return new FilterProfileRegistry();
+    }
+
+    const content = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    return Array.isArray(content.rules) ? new FilterProfileRegistry(content) : FilterProfileRegistry.fromConfig(content);
+}
+
+function steamIdForRecord(record, profile) {
+    if (record.steam_id) {
+        return String(record.steam_id);
+    }
+    if (profile.account_id) {
+        return SteamID.fromIndividualAccountID(profile.account_id).getSteamID64();
+    }
+    return null;
+}
+
+function loadProfiles(file) {
+    const lines = fs.readFileSync(path.resolve(file), 'utf8').split('\n');
+    const entries = new Map();  // steamID64 -> entry, so counts match the per-ID diff
+    let skipped = 0;
+    let duplicates = 0;
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        try {
+            const record = JSON.parse(line);
+            const profile = record.profile || record;
+            const steamID64 = steamIdForRecord(record, profile);
+
+            if (!steamID64) {
+                throw new Error('no steam_id or account_id');
+            }
+
+            if (entries.has(steamID64)) {
+                duplicates++;
+            }
+            entries.set(steamID64, { steamID64, username: record.profile ? record.username : null, profile });
+        } catch (error) {
+            skipped++;
+            console.error(`Skipping line ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return { entries: [...entries.values()], skipped, duplicates };
+}
+
+function summarize(registry, entries, usernameOverride) {
+    const summary = { versions: registry.describe(), passed: 0, failed: 0, reasons: {}, decisions: new Map() };
+
+    for (const { steamID64, username, profile } of entries) {
+        const decision = registry.forUsername(usernameOverride || username).engine.evaluate(profile);
+        summary.decisions.set(steamID64, decision);
+
+        if (decision.passed) {
+            summary.passed++;
+        } else {
+            summary.failed++;
+            const key = `${decision.matchedRule}: ${decision.filterReason}`;
+            summary.reasons[key] = (summary.reasons[key] || 0) + 1;
+        }
+    }
+
+    return summary;
+}
+
+function diffSummaries(base, candidate) {
+    const diff = [];
+
+    for (const [steamID64, before] of base.decisions) {
+        const after = candidate.decisions.get(steamID64);
+        if (before.passed !== after.passed) {
+            diff.push({
+                steam_id: steamID64,
+                change: after.passed ? 'now_passes' : 'now_fails',
+                before: before.passed ? 'passed' : `${before.matchedRule}: ${before.filterReason}`,
+                after: after.passed ? 'passed' : `${after.matchedRule}: ${after.filterReason}`
+            });
+        }
+    }
+
+    return diff;
+}
+
+function toReport(summary) {
+    return {
+        versions: summary.versions,
+        passed: summary.passed,
+        failed: summary.failed,
+        reasons: summary.reasons
+    };
+}
+
+function printSummary(label, summary, total) {
+    const passRate = total > 0 ? ((summary.passed / total) * 100).toFixed(1) : '0.0';
+
+    const versions = Object.entries(summary.versions).map(([name, version]) => `${name}: ${version}`).join(', ');
+    console.log(`\n${label} (${versions})`);
+    console.log(`  Passed: ${summary.passed} (${passRate}%)`);
+    console.log(`  Failed: ${summary.failed}`);
+
+    const reasons = Object.entries(summary.reasons).sort((a, b) => b[1] - a[1]);
+    if (reasons.length > 0) {
+        console.log('  Reasons:');
+        reasons.forEach(([reason, count]) => console.log(`    ${String(count).padStart(6)}  ${reason}`));
+    }
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const { entries, skipped, duplicates } = loadProfiles(args.input);
+
+    const base = summarize(loadRegistry(args.rules), entries, args.username);
+    const candidate = args.compare ? summarize(loadRegistry(args.compare), entries, args.username) : null;
+    const diff = candidate ? diffSummaries(base, candidate) : [];
+
+    if (args.json) {
+        console.log(JSON.stringify({
+            total: entries.length,
+            skipped,
+            duplicates,
+            base: toReport(base),
+            compare: candidate ? toReport(candidate) : null,
+            diff
+        }, null, 2));
+        return;
+    }
+
+    const notes = [
+        skipped ? `${skipped} lines skipped` : null,
+        duplicates ? `${duplicates} duplicate IDs replaced by their last capture` : null
+    ].filter(Boolean).join(', ');
+    console.log(`Replayed ${entries.length} profiles from ${args.input}${notes ? ` (${notes})` : ''}`);
+    printSummary('Rule set', base, entries.length);
+
+    if (candidate) {
+        printSummary('Compared rule set', candidate, entries.length);
+
+        const nowPass = diff.filter(d => d.change === 'now_passes').length;
+        console.log(`\nDecision changes: ${diff.length} (${nowPass} now pass, ${diff.length - nowPass} now fail)`);
+        diff.slice(0, args.diffLimit).forEach(d => {
+            console.log(`  ${d.steam_id}  ${d.before}  →  ${d.after}`);
+        });
+        if (diff.length > args.diffLimit) {
+            console.log(`  ... ${diff.length - args.diffLimit} more (raise --diff-limit or use --json)`);
+        }
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
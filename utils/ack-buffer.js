@@ -0,0 +1,212 @@
+// gc-filter-worker/utils/ack-buffer.js - Groups filter queue complete/release calls into batched flushes
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [ACK-BUFFER] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * AckBuffer - Collects item acknowledgements and sends them in batches, by size or on a timer.
+ * send(kind, itemIds, reason, attemptTokens) must resolve true on success and false on failure; failed items stay
+ * buffered for the next flush until they run out of attempts. Resolving null means the batch was not
+ * attempted (e.g. circuit open) - the items stay buffered without using up an attempt.
+ * attemptTokens ("id@addedAt" per item) do not change when an item is sent again after a failed flush,
+ * so they can be used to derive an idempotency key for the batch.
+ * Each complete()/release() returns a promise that resolves true once the item is acknowledged,
+ * or false if it was given up on.
+ */
+class AckBuffer {
+    constructor(send, options = {}) {
+        this.send = send;
+        this.flushSize = options.flushSize || 10;
+        this.flushIntervalMs = options.flushIntervalMs || 5000;
+        this.maxAttempts = options.maxAttempts || 5;
+
+        this.groups = new Map();    // "kind|reason" → { kind, reason, entries: Map(id → entry) }
+        this.inFlight = new Map();  // id → entry, while its batch is being sent
+        this.timer = null;
+        this.flushing = null;
+        this.closed = false;
+        this.stats = { flushes: 0, acknowledged: 0, failed_flushes: 0, deferred_flushes: 0, dropped: 0, discarded: 0 };
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => this.flush(), this.flushIntervalMs);
+    }
+
+    complete(itemId, reason = null) {
+        return this.add('complete', itemId, reason);
+    }
+
+    release(itemId) {
+        return this.add('release', itemId, null);
+    }
+
+    add(kind, itemId, reason) {
+        const id = String(itemId);
+
+        // An item only ever gets one acknowledgement - keep the first one
+        const existing = this.find(id);
+        if (existing) {
+            return existing.promise;
+        }
+
+        const key = `${kind}|${reason || ''}`;
+        if (!this.groups.has(key)) {
+            this.groups.set(key, { kind, reason, entries: new Map() });
+        }
+
+        const entry = { id, attempts: 0, addedAt: Date.now() };
+        entry.promise = new Promise(resolve => { entry.resolve = resolve; });
+        this.groups.get(key).entries.set(id, entry);
+
+        // After close() there is no timer, so late acknowledgements go out immediately
+        if (this.closed || this.size() >= this.flushSize) {
+            this.flush();
+        }
+
+        return entry.promise;
+    }
+
+    find(id) {
+        if (this.inFlight.has(id)) {
+            return this.inFlight.get(id);
+        }
+        for (const group of this.groups.values()) {
+            if (group.entries.has(id)) {
+                return group.entries.get(id);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Forget buffered acknowledgements for items this instance no longer holds (e.g. a lost lease).
+     * Their promises resolve false. A batch already in flight cannot be recalled.
+     */
+    discard(itemIds) {
+        let discarded = 0;
+        for (const itemId of itemIds) {
+            const id = String(itemId);
+            for (const group of this.groups.values()) {
+                const entry = group.entries.get(id);
+                if (entry) {
+                    group.entries.delete(id);
+                    entry.resolve(false);
+                    discarded++;
+                }
+            }
+        }
+        this.stats.discarded += discarded;
+        return discarded;
+    }
+
+    has(itemId) {
+        return this.find(String(itemId)) !== null;
+    }
+
+    size() {
+        let total = 0;
+        for (const group of this.groups.values()) {
+            total += group.entries.size;
+        }
+        return total;
+    }
+
+    /**
+     * Send everything buffered. Concurrent calls share the same in-flight flush.
+     */
+    flush() {
+        if (!this.flushing) {
+            this.flushing = this.flushGroups().finally(() => {
+                this.flushing = null;
+            });
+        }
+        return this.flushing;
+    }
+
+    async flushGroups() {
+        for (const group of Array.from(this.groups.values())) {
+            const entries = Array.from(group.entries.values());
+            if (entries.length === 0) continue;
+            group.entries.clear();
+            entries.forEach(e => this.inFlight.set(e.id, e));
+
+            this.stats.flushes++;
+            const ok = await this.send(group.kind, entries.map(e => e.id), group.reason, entries.map(e => `${e.id}@${e.addedAt}`));
+            entries.forEach(e => this.inFlight.delete(e.id));
+
+            if (ok) {
+                this.stats.acknowledged += entries.length;
+                entries.forEach(e => e.resolve(true));
+                continue;
+            }
+
+            if (ok === false) {
+                this.stats.failed_flushes++;
+            } else {
+                this.stats.deferred_flushes++;
+            }
+            for (const entry of entries) {
+                // Deferred batches only count once closing, so shutdown cannot wait forever
+                if (ok === false || this.closed) {
+                    entry.attempts++;
+                }
+                if (entry.attempts >= this.maxAttempts) {
+                    this.stats.dropped++;
+                    logToFile(`Giving up on ${group.kind} for ${entry.id} after ${entry.attempts} failed flushes - it stays claimed until released`, 'error');
+                    entry.resolve(false);
+                } else {
+                    group.entries.set(entry.id, entry);
+                }
+            }
+        }
+    }
+
+    /**
+     * Stop the timer and flush until the buffer is empty or every item ran out of attempts
+     */
+    async close() {
+        this.closed = true;
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+
+        while (this.size() > 0) {
+            await this.flush();
+            if (this.size() > 0) {
+                await delay(1000);
+            }
+        }
+    }
+
+    getStats() {
+        return {
+            pending: this.size(),
+            ...this.stats
+        };
+    }
+}
+
+module.exports = AckBuffer;
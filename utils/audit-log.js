@@ -0,0 +1,92 @@
+// gc-filter-worker/utils/audit-log.js - Structured per-decision audit trail
+const path = require('path');
+const { createRecordSink } = require('./record-sinks');
+
+/**
+ * AuditLog - Writes one record per processed queue item describing what was decided and what happened next.
+ * Used to answer "why was my ID dropped?" without digging through free-text logs.
+ */
+class AuditLog {
+    constructor(instanceId, options = {}, apiKey = null) {
+        this.instanceId = instanceId;
+        this.type = options.type || 'none';
+        this.sink = createRecordSink('audit-log', options, {
+            path: path.join(__dirname, '../data/audit.ndjson'),
+            apiKey
+        });
+        this.written = 0;
+    }
+
+    get enabled() {
+        return this.type !== 'none';
+    }
+
+    /**
+     * Start an entry for a claimed item - the processing loop fills in the rest as it goes
+     */
+    begin(item) {
+        return {
+            timestamp: null,
+            steam_id: String(item.id),
+            username: item.username || null,
+            instance_id: this.instanceId,
+            filter_profile: null,
+            rule_set_version: null,
+            matched_rule: null,
+            verdict: null,          // 'passed' | 'filtered' | 'invalid' | 'error'
+            reason: null,
+            gc_latency_ms: null,
+            cache_hit: null,
+            attempts: 0,
+            marked: null,           // true | false | null (not attempted)
+            validator_add: null,    // 'ok' | 'failed' | null (not attempted)
+            queue_action: null,     // 'completed' | 'released' | 'dead_lettered' | null
+            queue_ack: null,        // whether the complete/release call succeeded (may be a pending ack promise)
+            error: null
+        };
+    }
+
+    /**
+     * Fill an entry from a processSteamIDWithRetries result
+     */
+    applyResult(entry, processResult) {
+        entry.attempts = processResult.attempts || 0;
+        entry.gc_latency_ms = processResult.gcLatencyMs ?? null;
+
+        if (processResult.success) {
+            entry.cache_hit = processResult.cacheHit;
+            entry.filter_profile = processResult.filterProfile;
+            entry.rule_set_version = processResult.ruleSetVersion;
+            entry.matched_rule = processResult.matchedRule;
+            entry.verdict = processResult.passed ? 'passed' : 'filtered';
+            entry.reason = processResult.filterReason;
+            entry.marked = null; // Set once the outbox has run the mark step
+        } else {
+            entry.verdict = 'error';
+            entry.reason = processResult.error?.message || 'unknown error';
+        }
+    }
+
+    async write(entry) {
+        if (!this.enabled) return;
+
+        entry.timestamp = new Date().toISOString();
+        // Buffered acknowledgements resolve when their batch is flushed
+        entry.queue_ack = await entry.queue_ack;
+        await this.sink.write(entry);
+        this.written++;
+    }
+
+    getStats() {
+        return {
+            type: this.type,
+            written: this.written
+        };
+    }
+
+    async close() {
+        await this.sink.close();
+    }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,102 @@
+// gc-filter-worker/utils/ban-history.js - GC request rate tracking and what the recorded ban events say about it
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * RequestRateMeter - Counts GC requests in a session and the busiest 60s window seen so far
+ */
+class RequestRateMeter {
+    constructor(now = Date.now()) {
+        this.startedAt = now;
+        this.total = 0;
+        this.recent = [];       // Request times within the last minute
+        this.peakPerMinute = 0;
+        this.peakAt = null;
+    }
+
+    record(now = Date.now()) {
+        this.total++;
+        this.recent.push(now);
+        this.trim(now);
+
+        if (this.recent.length > this.peakPerMinute) {
+            this.peakPerMinute = this.recent.length;
+            this.peakAt = now;
+        }
+    }
+
+    trim(now) {
+        while (this.recent.length > 0 && now - this.recent[0] >= MINUTE_MS) {
+            this.recent.shift();
+        }
+    }
+
+    lastMinute(now = Date.now()) {
+        this.trim(now);
+        return this.recent.length;
+    }
+
+    /**
+     * Over at least one minute, so a short session is not extrapolated past its real count
+     */
+    averagePerMinute(now = Date.now()) {
+        const minutes = Math.max(1, (now - this.startedAt) / MINUTE_MS);
+        return this.total / minutes;
+    }
+
+    getStats(now = Date.now()) {
+        return {
+            session_started_at: new Date(this.startedAt).toISOString(),
+            session_seconds: Math.round((now - this.startedAt) / 1000),
+            session_requests: this.total,
+            avg_rate_per_minute: Number(this.averagePerMinute(now).toFixed(2)),
+            peak_rate_per_minute: this.peakPerMinute,
+            peak_at: this.peakAt ? new Date(this.peakAt).toISOString() : null,
+            last_minute_requests: this.lastMinute(now)
+        };
+    }
+}
+
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function spread(values) {
+    if (values.length === 0) return null;
+    return { min: Math.min(...values), median: median(values), max: Math.max(...values) };
+}
+
+/**
+ * What the ban events say about safe rates. The suggestion keeps a margin below the lowest peak
+ * rate that preceded a rate-limit ban - the tightest limit observed.
+ */
+function summarizeBans(events, { margin = 0.8 } = {}) {
+    const byCategory = {};
+    events.forEach(event => {
+        const category = event.category || 'unknown';
+        byCategory[category] = (byCategory[category] || 0) + 1;
+    });
+
+    const rateLimited = events.filter(event => ['rate_limit', 'gc_soft_ban'].includes(event.category) && event.session_requests > 0);
+    const peaks = rateLimited.map(event => event.peak_rate_per_minute).filter(Number.isFinite);
+    const averages = rateLimited.map(event => event.avg_rate_per_minute).filter(Number.isFinite);
+    const requests = rateLimited.map(event => event.session_requests).filter(Number.isFinite);
+    const lowestPeak = peaks.length > 0 ? Math.min(...peaks) : null;
+
+    return {
+        bans: events.length,
+        first_at: events.length > 0 ? events[0].at : null,
+        last_at: events.length > 0 ? events[events.length - 1].at : null,
+        by_category: byCategory,
+        rate_limited_bans: rateLimited.length,
+        peak_rate_per_minute: spread(peaks),
+        avg_rate_per_minute: spread(averages),
+        session_requests: spread(requests),
+        suggested_per_minute: lowestPeak !== null ? Math.max(1, Math.floor(lowestPeak * margin)) : null
+    };
+}
+
+module.exports = { RequestRateMeter, summarizeBans };
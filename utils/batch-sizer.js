@@ -0,0 +1,57 @@
+// gc-filter-worker/utils/batch-sizer.js - Claim size from measured per-item throughput and lease time
+
+/**
+ * BatchSizer - Picks how many IDs to claim so a batch is worked through well inside its lease.
+ * Per-item time (lookup, follow-up calls and processing delay) is tracked as a moving average;
+ * a batch is sized to fill targetFraction of the window, minus the work still queued ahead of it.
+ */
+class BatchSizer {
+    constructor(options = {}) {
+        this.minSize = options.minSize || 1;
+        this.maxSize = options.maxSize || 50;
+        this.windowMs = options.windowMs;
+        this.targetFraction = options.targetFraction || 0.5;
+        this.smoothing = options.smoothing || 0.2;
+
+        this.avgItemMs = null;
+        this.itemsMeasured = 0;
+        this.currentSize = Math.min(this.maxSize, Math.max(this.minSize, options.initialSize || 10));
+    }
+
+    recordItem(durationMs) {
+        this.avgItemMs = this.avgItemMs === null ?
+            durationMs :
+            this.avgItemMs + this.smoothing * (durationMs - this.avgItemMs);
+        this.itemsMeasured++;
+    }
+
+    /**
+     * Size for the next claim. itemsAhead are items that will be processed before this batch starts
+     * (a prefetch is claimed while the current batch is still running).
+     */
+    nextSize(itemsAhead = 0) {
+        // Keep the configured starting size until there is something to measure
+        if (this.avgItemMs === null || this.avgItemMs <= 0) {
+            return this.currentSize;
+        }
+
+        const budgetMs = this.windowMs * this.targetFraction - itemsAhead * this.avgItemMs;
+        const fits = Math.floor(budgetMs / this.avgItemMs);
+
+        this.currentSize = Math.min(this.maxSize, Math.max(this.minSize, fits));
+        return this.currentSize;
+    }
+
+    getStats() {
+        return {
+            current_size: this.currentSize,
+            min_size: this.minSize,
+            max_size: this.maxSize,
+            avg_item_ms: this.avgItemMs === null ? null : Math.round(this.avgItemMs),
+            items_measured: this.itemsMeasured,
+            window_seconds: Math.round(this.windowMs / 1000)
+        };
+    }
+}
+
+module.exports = BatchSizer;
@@ -0,0 +1,133 @@
+// gc-filter-worker/utils/circuit-breaker.js - Per-dependency circuit breaker (closed → open → half-open)
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [CIRCUIT-BREAKER] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+/**
+ * CircuitBreaker - Stops calls to a dependency after repeated failures.
+ * closed:    calls go through; failureThreshold consecutive failures open the circuit
+ * open:      calls are refused until the reset timeout passes
+ * half_open: exactly one probe call goes through - success closes the circuit, failure re-opens it
+ *            with a doubled reset timeout (capped at maxResetTimeoutMs)
+ */
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.failureThreshold = options.failureThreshold || 5;
+        this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+        this.maxResetTimeoutMs = options.maxResetTimeoutMs || 300000;
+
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.currentResetTimeoutMs = this.resetTimeoutMs;
+        this.openedAt = null;
+        this.openUntil = 0;
+        this.probeInFlight = false;
+        this.lastError = null;
+        this.stats = { opened: 0, rejected: 0 };
+    }
+
+    /**
+     * Whether a call may be made now. Moves an expired open circuit to half-open and lets
+     * the caller through as its single probe.
+     */
+    canAttempt() {
+        if (this.state === 'closed') {
+            return true;
+        }
+
+        if (this.state === 'open' && Date.now() >= this.openUntil) {
+            this.state = 'half_open';
+            logToFile(`${this.name}: reset timeout passed, probing (half-open)`);
+        }
+
+        if (this.state === 'half_open' && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
+        }
+
+        this.stats.rejected++;
+        return false;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'closed') {
+            const downFor = Math.round((Date.now() - this.openedAt) / 1000);
+            logToFile(`✅ ${this.name}: probe succeeded, circuit closed after ${downFor}s`);
+        }
+
+        this.state = 'closed';
+        this.consecutiveFailures = 0;
+        this.currentResetTimeoutMs = this.resetTimeoutMs;
+        this.openedAt = null;
+        this.probeInFlight = false;
+    }
+
+    recordFailure(error) {
+        this.lastError = error ? error.message : null;
+        this.probeInFlight = false;
+
+        if (this.state === 'half_open') {
+            this.currentResetTimeoutMs = Math.min(this.currentResetTimeoutMs * 2, this.maxResetTimeoutMs);
+            this.open(`probe failed: ${this.lastError}`);
+            return;
+        }
+
+        this.consecutiveFailures++;
+        if (this.state === 'closed' && this.consecutiveFailures >= this.failureThreshold) {
+            this.openedAt = Date.now();
+            this.stats.opened++;
+            this.open(`${this.consecutiveFailures} consecutive failures, last: ${this.lastError}`);
+        }
+    }
+
+    open(reason) {
+        this.state = 'open';
+        this.openUntil = Date.now() + this.currentResetTimeoutMs;
+        logToFile(`🔌 ${this.name}: circuit open for ${Math.round(this.currentResetTimeoutMs / 1000)}s (${reason})`, 'error');
+    }
+
+    /**
+     * Whether the next call would be let through as the half-open probe (reset timeout passed, slot free)
+     */
+    probeDue() {
+        if (this.state === 'closed' || this.probeInFlight) {
+            return false;
+        }
+        return this.state === 'half_open' || Date.now() >= this.openUntil;
+    }
+
+    isClosed() {
+        return this.state === 'closed';
+    }
+
+    getStats() {
+        return {
+            state: this.state,
+            consecutive_failures: this.consecutiveFailures,
+            opened_at: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            next_probe_at: this.state === 'open' ? new Date(this.openUntil).toISOString() : null,
+            last_error: this.lastError,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = CircuitBreaker;
@@ -1,8 +1,7 @@
 // gc-filter-worker/utils/cooldown-api.js - API client for cooldown state management
-const https = require('https');
-const http = require('http');
 const fs = require('fs');
 const path = require('path');
+const { HttpClient, HttpStatusError, idempotencyKey } = require('./http-client');
 
 /**
  * Helper for logging
@@ -23,151 +22,201 @@ function logToFile(message, type = 'info') {
 }
 
 /**
- * Make HTTP request to cooldown API
+ * Persisted cooldown state with every field defaulted
  */
-async function makeApiRequest(method, endpoint, data = null, config) {
-    return new Promise((resolve, reject) => {
-        const apiUrl = config.QUEUE_API_URL;
-        if (!apiUrl) throw new Error('Missing QUEUE_API_URL in config passed to CooldownStateManager');
-        const url = new URL(endpoint, apiUrl);
-        const isHttps = url.protocol === 'https:';
-        const httpModule = isHttps ? https : http;
-
-        const options = {
-            hostname: url.hostname,
-            port: url.port || (isHttps ? 443 : 80),
-            path: url.pathname,
-            method: method,
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': config.API_KEY
-            },
-            timeout: 10000
-        };
-
-        if (data) {
-            const postData = JSON.stringify(data);
-            options.headers['Content-Length'] = Buffer.byteLength(postData);
-        }
-
-        const req = httpModule.request(options, (res) => {
-            let responseData = '';
-
-            res.on('data', (chunk) => {
-                responseData += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const parsed = JSON.parse(responseData);
-                    if (res.statusCode === 200 && parsed.success) {
-                        resolve(parsed);
-                    } else {
-                        reject(new Error(`API error: ${parsed.error || responseData}`));
-                    }
-                } catch (err) {
-                    reject(new Error(`Failed to parse API response: ${err.message}`));
-                }
-            });
-        });
-
-        req.on('error', (err) => {
-            reject(new Error(`API request failed: ${err.message}`));
-        });
-
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('API request timeout'));
-        });
-
-        if (data) {
-            req.write(JSON.stringify(data));
-        }
-
-        req.end();
-    });
+function normalizeState(state = {}) {
+    return {
+        lastBanTime: state.lastBanTime || 0,
+        totalBanCount: state.totalBanCount || 0,
+        cooldownLevel: state.cooldownLevel || 0,
+        cooldownEndTime: state.cooldownEndTime || 0,
+        decayProfiles: state.decayProfiles || 0,      // Healthy progress toward the next level step-down
+        decayHealthyMs: state.decayHealthyMs || 0,
+        lastDecayTime: state.lastDecayTime || 0
+    };
 }
 
+// After a failed Redis call, skip Redis for this long (doubling per failure, up to the max) before trying again
+const REDIS_RETRY_BASE_MS = 30 * 1000;
+const REDIS_RETRY_MAX_MS = 10 * 60 * 1000;
+
 /**
- * CooldownStateManager - Manages cooldown state with Redis fallback to file
+ * CooldownStateManager - Manages cooldown state with Redis fallback to file.
+ * One instance per process (created in main.js) owns the state; `state` is the last loaded or saved copy.
+ * A failed Redis call only falls back to the file until a backoff runs out - load() always tries Redis again.
+ * Saves and clears are written one at a time in call order, so a slow or retried write cannot land after a
+ * newer one and roll the state back.
  */
 class CooldownStateManager {
     constructor(instanceId, config) {
         this.instanceId = instanceId;
         this.config = config;
+        if (!config.QUEUE_API_URL) throw new Error('Missing QUEUE_API_URL in config passed to CooldownStateManager');
+        this.api = new HttpClient({
+            name: 'cooldown-api',
+            baseUrl: config.QUEUE_API_URL,
+            apiKey: config.API_KEY,
+            timeout: 10000,
+            retries: 1
+        });
         this.fallbackFilePath = path.join(__dirname, '../cooldown-state.json');
-        this.useRedis = true; // Try Redis first, fallback to file on error
+        this.banHistoryPath = path.join(__dirname, '../ban-history.jsonl');
+        this.redisRetryAt = 0;      // Redis is skipped until this time after a failure
+        this.redisFailures = 0;     // Consecutive failures, for the backoff
+        this.redisBehind = false;   // A save went to the file only - Redis holds an older copy
+        this.banHistoryApi = true;  // Ban history endpoint supported - independent of the cooldown state calls
+        this.writing = Promise.resolve(); // Tail of the save/clear chain
+        this.saveSeq = 0;
+        this.state = normalizeState();
+    }
+
+    /**
+     * Whether Redis should be tried now, or is still backing off after a failure
+     */
+    redisAvailable() {
+        return Date.now() >= this.redisRetryAt;
+    }
+
+    redisSucceeded() {
+        if (this.redisFailures > 0) {
+            logToFile('Redis reachable again, cooldown state is back on Redis');
+        }
+        this.redisFailures = 0;
+        this.redisRetryAt = 0;
+    }
+
+    redisFailed() {
+        const backoffMs = Math.min(REDIS_RETRY_MAX_MS, REDIS_RETRY_BASE_MS * Math.pow(2, this.redisFailures));
+        this.redisFailures++;
+        this.redisRetryAt = Date.now() + backoffMs;
+        return backoffMs;
+    }
+
+    /**
+     * A 404 from cooldown/:id/bans means the API predates ban history - stop asking for the session
+     */
+    banHistoryFailed(error) {
+        if (error instanceof HttpStatusError && error.statusCode === 404) {
+            this.banHistoryApi = false;
+            logToFile('Cooldown API has no ban history endpoint, keeping ban history in the file only');
+            return true;
+        }
+        return false;
     }
 
     /**
      * Load cooldown state (try Redis, fallback to file)
      */
     async load() {
-        // Try Redis first
-        if (this.useRedis) {
-            try {
-                const response = await makeApiRequest(
-                    'GET',
-                    `cooldown/${this.instanceId}`,
-                    null,
-                    this.config
-                );
-
-                if (response.found) {
-                    logToFile(`Loaded cooldown state from Redis: level ${response.state.cooldownLevel}, bans ${response.state.totalBanCount}`);
-                    return response.state;
-                } else {
-                    logToFile('No cooldown state in Redis, starting fresh');
-                    return { lastBanTime: 0, totalBanCount: 0, cooldownLevel: 0 };
+        await this.writing;
+        this.state = await this.fetch();
+        return this.state;
+    }
+
+    async fetch() {
+        // Try Redis first - a load is rare enough to always try it, whatever the backoff says
+        try {
+            const response = await this.api.request('GET', `cooldown/${this.instanceId}`);
+            this.redisSucceeded();
+
+            // Saves made while Redis was down are only in the file - push that copy instead of trusting Redis
+            if (this.redisBehind) {
+                const fileState = this.readFile();
+                if (fileState) {
+                    logToFile('Redis copy is older than the file fallback, re-syncing it from the file');
+                    await this.save(fileState);
+                    return this.state;
                 }
-            } catch (error) {
-                logToFile(`Redis unavailable, falling back to file storage: ${error.message}`, 'error');
-                this.useRedis = false; // Disable Redis for this session
             }
+
+            if (response.found) {
+                logToFile(`Loaded cooldown state from Redis: level ${response.state.cooldownLevel}, bans ${response.state.totalBanCount}`);
+                return normalizeState(response.state);
+            } else {
+                logToFile('No cooldown state in Redis, starting fresh');
+                return normalizeState();
+            }
+        } catch (error) {
+            const backoffMs = this.redisFailed();
+            logToFile(`Redis unavailable, falling back to file storage (retrying Redis in ${Math.round(backoffMs / 1000)}s): ${error.message}`, 'error');
         }
 
         // Fallback to file
+        const state = this.readFile();
+        if (state) {
+            logToFile('Loaded cooldown state from file (Redis fallback)');
+            return state;
+        }
+
+        logToFile('No cooldown state found, starting fresh');
+        return normalizeState();
+    }
+
+    /**
+     * The file fallback copy, or null if there is none
+     */
+    readFile() {
         try {
             if (fs.existsSync(this.fallbackFilePath)) {
-                const state = JSON.parse(fs.readFileSync(this.fallbackFilePath, 'utf8'));
-                logToFile('Loaded cooldown state from file (Redis fallback)');
-                return {
-                    lastBanTime: state.lastBanTime || 0,
-                    totalBanCount: state.totalBanCount || 0,
-                    cooldownLevel: state.cooldownLevel || 0
-                };
+                return normalizeState(JSON.parse(fs.readFileSync(this.fallbackFilePath, 'utf8')));
             }
         } catch (error) {
             logToFile(`Error loading from file: ${error.message}`, 'error');
         }
+        return null;
+    }
 
-        logToFile('No cooldown state found, starting fresh');
-        return { lastBanTime: 0, totalBanCount: 0, cooldownLevel: 0 };
+    /**
+     * Replace the in-memory state without persisting it (progress between saves)
+     */
+    set(state) {
+        this.state = normalizeState(state);
+    }
+
+    /**
+     * Queue a write behind the ones already in progress
+     */
+    enqueue(write) {
+        this.writing = this.writing.then(write, write);
+        return this.writing;
     }
 
     /**
-     * Save cooldown state (try Redis, fallback to file)
+     * Save cooldown state (try Redis, fallback to file). The in-memory state changes right away;
+     * the write waits for earlier saves.
      */
-    async save(state) {
+    save(state) {
+        state = normalizeState(state);
+        this.state = state;
+        const seq = ++this.saveSeq;
+        return this.enqueue(() => this.write(state, seq));
+    }
+
+    async write(state, seq) {
         let savedToRedis = false;
+        const savedAt = Date.now();
 
         // Try Redis first
-        if (this.useRedis) {
+        if (this.redisAvailable()) {
             try {
-                await makeApiRequest(
-                    'POST',
-                    `cooldown/${this.instanceId}`,
-                    state,
-                    this.config
-                );
+                // One key per save call - the client's retries reuse it, so a retried save is applied once
+                await this.api.request('POST', `cooldown/${this.instanceId}`, {
+                    body: state,
+                    idempotencyKey: idempotencyKey(this.instanceId, 'cooldown', savedAt, seq)
+                });
 
                 logToFile(`Saved cooldown state to Redis: level ${state.cooldownLevel}, bans ${state.totalBanCount}`);
                 savedToRedis = true;
+                this.redisBehind = false;
+                this.redisSucceeded();
             } catch (error) {
-                logToFile(`Failed to save to Redis, using file: ${error.message}`, 'error');
-                this.useRedis = false; // Disable Redis for this session
+                const backoffMs = this.redisFailed();
+                logToFile(`Failed to save to Redis, using file (retrying Redis in ${Math.round(backoffMs / 1000)}s): ${error.message}`, 'error');
             }
         }
+        if (!savedToRedis) {
+            this.redisBehind = true;
+        }
 
         // Always save to file as backup
         try {
@@ -186,22 +235,101 @@ class CooldownStateManager {
     }
 
     /**
-     * Clear cooldown state (both Redis and file)
+     * Record a ban event (try Redis, and always append to the local history file)
+     */
+    async recordBan(event) {
+        if (this.banHistoryApi) {
+            try {
+                await this.api.request('POST', `cooldown/${this.instanceId}/bans`, {
+                    body: event,
+                    idempotencyKey: idempotencyKey(this.instanceId, 'ban', event.at)
+                });
+                logToFile(`Recorded ban event #${event.ban_number} in Redis`);
+            } catch (error) {
+                if (!this.banHistoryFailed(error)) {
+                    logToFile(`Failed to record ban event in Redis, using file: ${error.message}`, 'error');
+                }
+            }
+        }
+
+        try {
+            fs.appendFileSync(this.banHistoryPath, JSON.stringify(event) + '\n');
+        } catch (error) {
+            logToFile(`Error appending ban event to file: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Ban events, oldest first. Redis events are merged with the local history file (deduplicated by `at`),
+     * so a ban recorded while the API was down still shows up once it is back.
+     * options: { since (ISO time or ms), limit (most recent N) }
      */
-    async clear() {
-        // Try clearing from Redis
-        if (this.useRedis) {
+    async listBans(options = {}) {
+        const since = options.since ? new Date(options.since).getTime() : 0;
+        const limit = options.limit || 0;
+
+        const byTime = new Map();
+        for (const event of this.readBanHistoryFile()) {
+            byTime.set(event.at, event);
+        }
+
+        if (this.banHistoryApi) {
             try {
-                await makeApiRequest(
-                    'DELETE',
-                    `cooldown/${this.instanceId}`,
-                    null,
-                    this.config
-                );
-                logToFile('Cleared cooldown state from Redis');
+                const response = await this.api.request('GET', `cooldown/${this.instanceId}/bans`, {
+                    query: {
+                        ...(options.since && { since: new Date(since).toISOString() }),
+                        ...(limit && { limit })
+                    }
+                });
+                (response.bans || []).forEach(event => byTime.set(event.at, event));
             } catch (error) {
-                logToFile(`Failed to clear Redis state: ${error.message}`, 'error');
+                if (!this.banHistoryFailed(error)) {
+                    logToFile(`Redis unavailable for ban history, reading file: ${error.message}`, 'error');
+                }
+            }
+        }
+
+        const events = Array.from(byTime.values())
+            .filter(event => new Date(event.at).getTime() >= since)
+            .sort((a, b) => new Date(a.at).getTime() - new Date(b.at).getTime());
+        return limit ? events.slice(-limit) : events;
+    }
+
+    /**
+     * This instance's events from the local ban history file
+     */
+    readBanHistoryFile() {
+        try {
+            if (fs.existsSync(this.banHistoryPath)) {
+                return fs.readFileSync(this.banHistoryPath, 'utf8')
+                    .split('\n')
+                    .filter(line => line.trim())
+                    .map(line => JSON.parse(line))
+                    .filter(event => event.instance_id === this.instanceId);
             }
+        } catch (error) {
+            logToFile(`Error reading ban history file: ${error.message}`, 'error');
+        }
+        return [];
+    }
+
+    /**
+     * Clear cooldown state (both Redis and file)
+     */
+    clear() {
+        this.state = normalizeState();
+        return this.enqueue(() => this.remove());
+    }
+
+    async remove() {
+        // Try clearing from Redis - a reset is explicit, so it ignores the backoff
+        try {
+            await this.api.request('DELETE', `cooldown/${this.instanceId}`);
+            logToFile('Cleared cooldown state from Redis');
+            this.redisBehind = false;
+            this.redisSucceeded();
+        } catch (error) {
+            logToFile(`Failed to clear Redis state: ${error.message}`, 'error');
         }
 
         // Clear file
@@ -0,0 +1,206 @@
+// gc-filter-worker/utils/cooldown-policy.js - Escalating cooldown levels and the end-time math on top of them
+
+// Minutes per level; level 0 is "no cooldown" (first attempt)
+const DEFAULT_LEVELS = [0, 30, 60, 120, 240, 480];
+
+const MAX_LEVEL_BEHAVIORS = ['hold', 'reset'];
+
+function formatMinutes(minutes) {
+    if (minutes === 0) return '0';
+    return minutes < 60 ? `${minutes}min` : `${+(minutes / 60).toFixed(2)}h`;
+}
+
+/**
+ * CooldownPolicy - How long a soft ban keeps the worker off Steam.
+ * Each ban moves one level up; at the top level the next ban either stays there ('hold')
+ * or starts the escalation over at level 1 ('reset'). A cooldown is stretched or shortened by up
+ * to ±jitter (fraction of its length), so instances banned together do not come back together.
+ * The end time is fixed when the ban is recorded and persisted, so jitter survives restarts.
+ *
+ * Levels come back down one step at a time: after decay.profiles successful GC lookups or
+ * decay.minutes of connected time, whichever comes first, with no request timeout in between.
+ * A timeout starts the window over; a ban clears it. 0 turns a criterion off.
+ *
+ * options (from config.json cooldown): { levels, jitter, max_level_behavior, decay: { profiles, minutes } }
+ */
+class CooldownPolicy {
+    constructor(options = {}) {
+        this.levels = options.levels || DEFAULT_LEVELS;
+        this.jitter = options.jitter || 0;
+        this.maxLevelBehavior = options.max_level_behavior || 'hold';
+        this.random = options.random || Math.random;
+
+        const decay = options.decay || {};
+        this.decayProfiles = decay.profiles ?? 300;
+        this.decayMs = (decay.minutes ?? 120) * 60 * 1000;
+
+        if (!Array.isArray(this.levels) || this.levels.length < 2 || this.levels[0] !== 0 ||
+            this.levels.some(minutes => typeof minutes !== 'number' || minutes < 0)) {
+            throw new Error('cooldown.levels must list at least two non-negative minute values, starting with 0');
+        }
+        if (this.jitter < 0 || this.jitter >= 1) {
+            throw new Error('cooldown.jitter must be a fraction in [0, 1)');
+        }
+        if (!MAX_LEVEL_BEHAVIORS.includes(this.maxLevelBehavior)) {
+            throw new Error(`cooldown.max_level_behavior must be one of ${MAX_LEVEL_BEHAVIORS.join(', ')}`);
+        }
+        if (!(this.decayProfiles >= 0) || !(this.decayMs >= 0)) {
+            throw new Error('cooldown.decay.profiles and cooldown.decay.minutes must be non-negative');
+        }
+    }
+
+    get maxLevel() {
+        return this.levels.length - 1;
+    }
+
+    clampLevel(level) {
+        return Math.min(Math.max(0, level || 0), this.maxLevel);
+    }
+
+    minutesFor(level) {
+        return this.levels[this.clampLevel(level)];
+    }
+
+    /**
+     * Level after one more ban
+     */
+    nextLevel(level) {
+        const current = this.clampLevel(level);
+        if (current < this.maxLevel) {
+            return current + 1;
+        }
+        return this.maxLevelBehavior === 'reset' ? 1 : this.maxLevel;
+    }
+
+    /**
+     * State after a ban at `now`: level escalated, end time fixed with jitter applied
+     */
+    applyBan(state, now = Date.now()) {
+        const cooldownLevel = this.nextLevel(state.cooldownLevel);
+        const baseMs = this.minutesFor(cooldownLevel) * 60 * 1000;
+        const jitterMs = baseMs * this.jitter * (2 * this.random() - 1);
+
+        return {
+            ...this.resetDecay(state),
+            lastBanTime: now,
+            totalBanCount: (state.totalBanCount || 0) + 1,
+            cooldownLevel,
+            cooldownEndTime: Math.round(now + baseMs + jitterMs)
+        };
+    }
+
+    /**
+     * Add healthy progress (successful lookups and/or connected time). Returns the new state and
+     * whether the level stepped down.
+     */
+    recordHealthy(state, { profiles = 0, healthyMs = 0 } = {}, now = Date.now()) {
+        if (!state.cooldownLevel) {
+            return { state, stepped: false };
+        }
+
+        const next = {
+            ...state,
+            decayProfiles: (state.decayProfiles || 0) + profiles,
+            decayHealthyMs: (state.decayHealthyMs || 0) + healthyMs
+        };
+        const byProfiles = this.decayProfiles > 0 && next.decayProfiles >= this.decayProfiles;
+        const byTime = this.decayMs > 0 && next.decayHealthyMs >= this.decayMs;
+
+        if (!byProfiles && !byTime) {
+            return { state: next, stepped: false };
+        }
+
+        return {
+            state: {
+                ...this.resetDecay(next),
+                cooldownLevel: this.clampLevel(state.cooldownLevel) - 1,
+                lastDecayTime: now
+            },
+            stepped: true
+        };
+    }
+
+    /**
+     * Start the healthy window over (after a timeout or a ban)
+     */
+    resetDecay(state) {
+        return { ...state, decayProfiles: 0, decayHealthyMs: 0 };
+    }
+
+    /**
+     * When the cooldown in `state` ends (0 = none). States saved before end times were persisted
+     * fall back to the unjittered level length.
+     */
+    endTime(state) {
+        if (!state.lastBanTime || !state.cooldownLevel) {
+            return 0;
+        }
+        if (state.cooldownEndTime) {
+            return state.cooldownEndTime;
+        }
+        return state.lastBanTime + this.minutesFor(state.cooldownLevel) * 60 * 1000;
+    }
+
+    remainingMs(state, now = Date.now()) {
+        return Math.max(0, this.endTime(state) - now);
+    }
+
+    describeLevel(level) {
+        const minutes = this.minutesFor(level);
+        return { level: this.clampLevel(level), minutes, hours: minutes / 60 };
+    }
+
+    /**
+     * One line for logs and status, e.g. "30min → 1h → 2h → 4h → 8h (holds at max; no decay)"
+     */
+    describeStrategy() {
+        const path = this.levels.slice(1).map(formatMinutes).join(' → ');
+        const atMax = this.maxLevelBehavior === 'reset' ? 'back to level 1 after max' : 'holds at max';
+        const jitter = this.jitter > 0 ? `, ±${Math.round(this.jitter * 100)}% jitter` : '';
+        return `${path} (${atMax}${jitter}; ${this.describeDecay()})`;
+    }
+
+    /**
+     * e.g. "one level down per 300 profiles or 2h without timeouts"
+     */
+    describeDecay() {
+        const criteria = [];
+        if (this.decayProfiles > 0) criteria.push(`${this.decayProfiles} profiles`);
+        if (this.decayMs > 0) criteria.push(formatMinutes(this.decayMs / 60000));
+        return criteria.length > 0 ? `one level down per ${criteria.join(' or ')} without timeouts` : 'no decay';
+    }
+
+    /**
+     * Status view of a persisted state
+     */
+    getInfo(state, now = Date.now()) {
+        const cooldownLevel = this.clampLevel(state.cooldownLevel);
+        const endTime = this.endTime(state);
+        const remainingMs = Math.max(0, endTime - now);
+        const { minutes, hours } = this.describeLevel(cooldownLevel);
+
+        return {
+            inCooldown: remainingMs > 0,
+            cooldownLevel,
+            cooldownMinutes: minutes,
+            cooldownHours: hours,
+            remainingMs,
+            endTime: endTime || null,
+            totalBans: state.totalBanCount || 0,
+            escalationPath: this.levels,
+            nextCooldownMinutes: this.minutesFor(this.nextLevel(cooldownLevel)),
+            maxLevelBehavior: this.maxLevelBehavior,
+            jitter: this.jitter,
+            decay: {
+                nextLevel: cooldownLevel > 0 ? cooldownLevel - 1 : null,
+                profiles: state.decayProfiles || 0,
+                profilesNeeded: this.decayProfiles || null,
+                healthyMinutes: Math.floor((state.decayHealthyMs || 0) / 60000),
+                minutesNeeded: this.decayMs ? this.decayMs / 60000 : null,
+                lastDecayTime: state.lastDecayTime || null
+            }
+        };
+    }
+}
+
+module.exports = { CooldownPolicy, DEFAULT_LEVELS, formatMinutes };
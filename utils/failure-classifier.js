@@ -0,0 +1,160 @@
+// gc-filter-worker/utils/failure-classifier.js - Sort Steam/GC failures into categories with their own response
+const SteamUser = require('steam-user');
+const GlobalOffensive = require('globaloffensive');
+
+const { EResult } = SteamUser;
+const { GCConnectionStatus } = GlobalOffensive;
+
+const CATEGORIES = ['rate_limit', 'gc_soft_ban', 'credentials', 'session_conflict', 'steam_outage', 'unknown'];
+const ACTIONS = ['escalate', 'recover', 'retry', 'stop'];
+
+/**
+ * Response per category (delays in seconds):
+ *   escalate - soft ban: next cooldown level, worker off until it ends
+ *   recover  - one GC reconnect attempt, escalate if that fails too
+ *   retry    - log in / reconnect again after retry_delay, doubling up to max_retry_delay;
+ *              after max_retries in a row (none = unlimited) fall back to on_exhausted
+ *   stop     - stop the worker without a cooldown and wait for an operator
+ * alert: also POST the failure to alert_webhook_url
+ */
+const DEFAULT_POLICIES = {
+    rate_limit: { action: 'escalate' },
+    gc_soft_ban: { action: 'recover' },
+    credentials: { action: 'stop', alert: true },
+    session_conflict: { action: 'retry', retry_delay: 600, max_retry_delay: 600, max_retries: 3, on_exhausted: 'stop', alert: true },
+    steam_outage: { action: 'retry', retry_delay: 30, max_retry_delay: 900 },
+    unknown: { action: 'retry', retry_delay: 60, max_retry_delay: 600, max_retries: 3, on_exhausted: 'escalate' }
+};
+
+const ERESULT_CATEGORIES = {
+    rate_limit: [
+        EResult.RateLimitExceeded, EResult.AccountLoginDeniedThrottle, EResult.LimitExceeded
+    ],
+    credentials: [
+        EResult.InvalidPassword, EResult.InvalidName, EResult.AccountNotFound, EResult.AccountDisabled,
+        EResult.AccountLockedDown, EResult.Banned, EResult.Suspended, EResult.AccountLogonDenied,
+        EResult.AccountLogonDeniedVerifiedEmailRequired, EResult.AccountLoginDeniedNeedTwoFactor,
+        EResult.TwoFactorCodeMismatch, EResult.InvalidLoginAuthCode, EResult.ExpiredLoginAuthCode
+    ],
+    session_conflict: [
+        EResult.LoggedInElsewhere, EResult.LogonSessionReplaced, EResult.AlreadyLoggedInElsewhere,
+        EResult.PasswordRequiredToKickSession
+    ],
+    steam_outage: [
+        EResult.ServiceUnavailable, EResult.TryAnotherCM, EResult.NoConnection, EResult.Timeout,
+        EResult.Busy, EResult.ConnectFailed, EResult.RemoteDisconnect, EResult.Fail
+    ]
+};
+
+const GC_STATUS_CATEGORIES = {
+    [GCConnectionStatus.GC_GOING_DOWN]: 'steam_outage',
+    [GCConnectionStatus.NO_SESSION_IN_LOGON_QUEUE]: 'steam_outage',
+    [GCConnectionStatus.NO_STEAM]: 'steam_outage',
+    [GCConnectionStatus.NO_SESSION]: 'gc_soft_ban'
+};
+
+function eresultName(eresult) {
+    return Object.keys(EResult).find(name => EResult[name] === eresult) || `EResult ${eresult}`;
+}
+
+function gcStatusName(status) {
+    return Object.keys(GCConnectionStatus).find(name => GCConnectionStatus[name] === status) || `GC status ${status}`;
+}
+
+/**
+ * FailureClassifier - Maps what went wrong to a category and that category's policy.
+ *
+ * Sources and what decides the category:
+ *   steam_error, steam_disconnect - the EResult (steam-user errors carry it as error.eresult)
+ *   gc_disconnect                 - the GCConnectionStatus reason
+ *   gc_timeout, request_timeouts  - GC soft ban, unless a Steam/GC outage is still being retried
+ *   steam_guard                   - credentials (app codes kept being rejected, or no email code came)
+ *   recovery_error                - unknown
+ *
+ * policies (from config.json failure_policies) override the defaults per category, field by field.
+ */
+class FailureClassifier {
+    constructor(policies = {}) {
+        this.policies = {};
+        CATEGORIES.forEach(category => {
+            this.policies[category] = { ...DEFAULT_POLICIES[category], ...(policies[category] || {}) };
+        });
+
+        Object.keys(policies).forEach(category => {
+            if (!CATEGORIES.includes(category)) {
+                throw new Error(`failure_policies: unknown category "${category}" (expected ${CATEGORIES.join(', ')})`);
+            }
+        });
+        Object.entries(this.policies).forEach(([category, policy]) => {
+            if (!ACTIONS.includes(policy.action)) {
+                throw new Error(`failure_policies.${category}.action must be one of ${ACTIONS.join(', ')}`);
+            }
+            if (policy.on_exhausted && !['escalate', 'stop'].includes(policy.on_exhausted)) {
+                throw new Error(`failure_policies.${category}.on_exhausted must be escalate or stop`);
+            }
+        });
+    }
+
+    /**
+     * failure: { source, eresult, gcStatus, error, message, outageActive }
+     * Returns { category, source, reason, eresult, policy }
+     */
+    classify(failure) {
+        const { source } = failure;
+        const eresult = failure.eresult ?? failure.error?.eresult;
+        let category = 'unknown';
+        let reason = failure.message || failure.error?.message || source;
+
+        switch (source) {
+            case 'steam_error':
+            case 'steam_disconnect':
+                if (eresult !== undefined && eresult !== null) {
+                    category = this.categoryForEResult(eresult);
+                    reason = `${eresultName(eresult)}${reason && reason !== eresultName(eresult) ? ` (${reason})` : ''}`;
+                }
+                break;
+
+            case 'gc_disconnect':
+                category = GC_STATUS_CATEGORIES[failure.gcStatus] || 'gc_soft_ban';
+                reason = gcStatusName(failure.gcStatus);
+                break;
+
+            case 'gc_timeout':
+            case 'request_timeouts':
+                // The GC staying silent is the soft-ban signature - unless it is known to be down
+                category = failure.outageActive ? 'steam_outage' : 'gc_soft_ban';
+                break;
+
+            case 'steam_guard':
+                category = 'credentials';
+                break;
+
+            default:
+                category = 'unknown';
+        }
+
+        return { category, source, reason, eresult: eresult ?? null, policy: this.policies[category] };
+    }
+
+    categoryForEResult(eresult) {
+        const category = Object.keys(ERESULT_CATEGORIES).find(name => ERESULT_CATEGORIES[name].includes(eresult));
+        return category || 'unknown';
+    }
+
+    /**
+     * Wait before retry number `attempt` (1-based), in ms
+     */
+    retryDelay(policy, attempt) {
+        const base = (policy.retry_delay || 30) * 1000;
+        const max = (policy.max_retry_delay || policy.retry_delay || 30) * 1000;
+        return Math.min(max, base * Math.pow(2, attempt - 1));
+    }
+
+    describe() {
+        return Object.entries(this.policies)
+            .map(([category, policy]) => `${category}=${policy.action}${policy.alert ? '+alert' : ''}`)
+            .join(', ');
+    }
+}
+
+module.exports = { FailureClassifier, CATEGORIES, DEFAULT_POLICIES, eresultName };
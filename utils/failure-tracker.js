@@ -0,0 +1,107 @@
+// gc-filter-worker/utils/failure-tracker.js - Shared per-item failure counts with local file fallback
+const fs = require('fs');
+const path = require('path');
+const { idempotencyKey } = require('./http-client');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [FAILURE-TRACKER] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+/**
+ * FailureTracker - Counts failed processing attempts per queue item.
+ * Counts live in the queue backend (shared by every instance, survive restarts and are dropped when
+ * the item is completed); if it is unreachable they fall back to a local file.
+ */
+class FailureTracker {
+    constructor(instanceId, queue, options = {}) {
+        this.instanceId = instanceId;
+        this.queue = queue;
+        this.maxAttempts = options.maxAttempts;
+        this.fallbackFilePath = options.fallbackFilePath || path.join(__dirname, '../failure-counts.json');
+        this.localCounts = this.loadLocalCounts();
+    }
+
+    loadLocalCounts() {
+        try {
+            if (fs.existsSync(this.fallbackFilePath)) {
+                return JSON.parse(fs.readFileSync(this.fallbackFilePath, 'utf8'));
+            }
+        } catch (error) {
+            logToFile(`Error loading local failure counts: ${error.message}`, 'error');
+        }
+        return {};
+    }
+
+    saveLocalCounts() {
+        try {
+            fs.writeFileSync(this.fallbackFilePath, JSON.stringify(this.localCounts, null, 2));
+        } catch (error) {
+            logToFile(`Error saving local failure counts: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Record one failed attempt and return the item's total failure count
+     */
+    async recordFailure(itemId, errorMessage) {
+        const id = String(itemId);
+        const pendingLocal = this.localCounts[id] || 0;
+        const failedAt = Date.now();
+
+        try {
+            // Failures counted locally while the backend was down are added in the same call
+            const failureCount = await this.queue.recordFailure(id, {
+                increment: pendingLocal + 1,
+                error: errorMessage,
+                // A retried increment must not be counted twice
+                idempotencyKey: idempotencyKey(this.instanceId, id, 'failure', failedAt)
+            });
+
+            if (pendingLocal) {
+                delete this.localCounts[id];
+                this.saveLocalCounts();
+            }
+
+            return failureCount;
+        } catch (error) {
+            logToFile(`Failed to record failure for ${id} in queue backend, counting locally: ${error.message}`, 'error');
+            this.localCounts[id] = (this.localCounts[id] || 0) + 1;
+            this.saveLocalCounts();
+            return this.localCounts[id];
+        }
+    }
+
+    /**
+     * Whether an item has used up its attempts and belongs in the dead-letter queue
+     */
+    isExhausted(failureCount) {
+        return failureCount >= this.maxAttempts;
+    }
+
+    /**
+     * Forget a locally counted item (it was completed or dead-lettered)
+     */
+    forget(itemId) {
+        const id = String(itemId);
+        if (this.localCounts[id]) {
+            delete this.localCounts[id];
+            this.saveLocalCounts();
+        }
+    }
+}
+
+module.exports = FailureTracker;
@@ -0,0 +1,265 @@
+// gc-filter-worker/utils/filter-rules.js - Declarative filter rule engine for GC profiles
+const { normalizeProfile } = require('./profile-model');
+
+// Medals that disqualify a profile under the built-in rule set
+const DEFAULT_UNWANTED_MEDALS = [
+    4960, 6111, 6112, 6123, 6126, 6129, 4918, 4555, 4759, 6101, 4687,
+    6113, 6106, 6125, 4886, 4853, 4703, 4552, 960, 4959, 4762, 4919,
+    4828, 4800, 4761, 4626, 4986, 4873, 6127, 6128, 4799, 4702, 909,
+    4550, 6105, 4798, 4553, 4760, 4958, 6114, 4884, 4701, 4700, 6124,
+    4885, 6130, 4690, 6115, 4691, 6131, 4887, 935, 912, 908, 902, 968,
+    952, 946, 6034, 6117, 6116, 6120, 6109, 6104, 6108, 6118, 4623, 4851
+];
+
+// Built-in rule set - mirrors the criteria that used to be hardcoded in checkProfile
+const DEFAULT_RULE_SET = {
+    version: 'builtin-1',
+    rules: [
+        { id: 'max_commendations', type: 'max', field: 'commendations', value: 99, reason: 'commendations ≥ 100 ({actual})' },
+        { id: 'required_medal_874', type: 'required_medals', medals: [874], reason: 'missing medal {medal}' },
+        { id: 'min_medals', type: 'min', field: 'medal_count', value: 3, reason: 'less than 3 medals (has {actual})' },
+        { id: 'unwanted_medals', type: 'forbidden_medals', medals: DEFAULT_UNWANTED_MEDALS, reason: 'has unwanted medal: {medal}' }
+    ]
+};
+
+// Profile fields rules can target - number fields work with min/max/equals, boolean fields with equals
+const FIELDS = {
+    commendations: { kind: 'number', get: (model) => model.commendations.total },
+    commendations_friendly: { kind: 'number', get: (model) => model.commendations.friendly },
+    commendations_teaching: { kind: 'number', get: (model) => model.commendations.teaching },
+    commendations_leader: { kind: 'number', get: (model) => model.commendations.leader },
+    medal_count: { kind: 'number', get: (model) => model.medals.length },
+    player_level: { kind: 'number', get: (model) => model.playerLevel },
+    player_xp: { kind: 'number', get: (model) => model.playerXp },
+    rank_id: { kind: 'number', get: (model) => model.ranking.rankId },
+    rank_wins: { kind: 'number', get: (model) => model.ranking.wins },
+    rank_type_id: { kind: 'number', get: (model) => model.ranking.rankTypeId },
+    penalty_seconds: { kind: 'number', get: (model) => model.penaltySeconds },
+    penalty_reason: { kind: 'number', get: (model) => model.penaltyReason },
+    vac_banned: { kind: 'boolean', get: (model) => model.vacBanned }
+};
+
+const DEFAULT_REASONS = {
+    min: '{field} below {value} (has {actual})',
+    max: '{field} above {value} ({actual})',
+    equals: '{field} is {actual} (required {value})',
+    required_medals: 'missing medal {medal}',
+    forbidden_medals: 'has unwanted medal: {medal}'
+};
+
+/**
+ * Fill {placeholders} in a reason template
+ */
+function formatReason(template, values) {
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+}
+
+/**
+ * Validate a rule definition and turn it into a check function.
+ * A check returns null when the profile satisfies the rule, or { rule, reason } when it does not.
+ */
+function compileRule(rule, location) {
+    if (!rule || typeof rule !== 'object') {
+        throw new Error(`Invalid filter rule at ${location}: expected an object`);
+    }
+
+    const id = rule.id || location;
+    const fail = (values) => ({
+        rule: id,
+        reason: formatReason(rule.reason || DEFAULT_REASONS[rule.type], values)
+    });
+
+    switch (rule.type) {
+        case 'min':
+        case 'max':
+        case 'equals': {
+            const field = FIELDS[rule.field];
+            if (!field) {
+                throw new Error(`Invalid filter rule ${id}: unknown field "${rule.field}" (known: ${Object.keys(FIELDS).join(', ')})`);
+            }
+            if (rule.type !== 'equals' && field.kind !== 'number') {
+                throw new Error(`Invalid filter rule ${id}: "${rule.type}" needs a number field, "${rule.field}" is ${field.kind}`);
+            }
+            if (typeof rule.value !== field.kind) {
+                throw new Error(`Invalid filter rule ${id}: "value" must be a ${field.kind}`);
+            }
+
+            return (model) => {
+                const actual = field.get(model);
+                let satisfied;
+                if (rule.type === 'min') {
+                    satisfied = actual >= rule.value;
+                } else if (rule.type === 'max') {
+                    satisfied = actual <= rule.value;
+                } else {
+                    satisfied = actual === rule.value;
+                }
+                return satisfied ? null : fail({ field: rule.field, value: rule.value, actual });
+            };
+        }
+
+        case 'required_medals':
+        case 'forbidden_medals': {
+            if (!Array.isArray(rule.medals) || rule.medals.some(m => typeof m !== 'number')) {
+                throw new Error(`Invalid filter rule ${id}: "medals" must be an array of medal defindexes`);
+            }
+            const listed = new Set(rule.medals);
+
+            if (rule.type === 'required_medals') {
+                return (model) => {
+                    const missing = rule.medals.find(m => !model.medals.includes(m));
+                    return missing === undefined ? null : fail({ medal: missing });
+                };
+            }
+
+            return (model) => {
+                const unwanted = model.medals.find(m => listed.has(m));
+                return unwanted === undefined ? null : fail({ medal: unwanted });
+            };
+        }
+
+        case 'all':
+        case 'any': {
+            if (!Array.isArray(rule.rules) || rule.rules.length === 0) {
+                throw new Error(`Invalid filter rule ${id}: "${rule.type}" needs a non-empty "rules" array`);
+            }
+            const children = rule.rules.map((child, index) => compileRule(child, `${id}.${index}`));
+
+            if (rule.type === 'all') {
+                return (model) => {
+                    for (const check of children) {
+                        const failure = check(model);
+                        if (failure) {
+                            return rule.reason ? { rule: id, reason: rule.reason } : failure;
+                        }
+                    }
+                    return null;
+                };
+            }
+
+            return (model) => {
+                const failures = [];
+                for (const check of children) {
+                    const failure = check(model);
+                    if (!failure) return null;
+                    failures.push(failure);
+                }
+                return { rule: id, reason: rule.reason || `none of: ${failures.map(f => f.reason).join('; ')}` };
+            };
+        }
+
+        case 'not': {
+            const child = compileRule(rule.rule, `${id}.rule`);
+            return (model) => (child(model) ? null : { rule: id, reason: rule.reason || `matched excluded rule ${rule.rule.id || `${id}.rule`}` });
+        }
+
+        default:
+            throw new Error(`Invalid filter rule ${id}: unknown type "${rule.type}"`);
+    }
+}
+
+/**
+ * FilterRuleEngine - Evaluates GC profiles against an ordered rule set.
+ * Rules are checked in order and the first unsatisfied rule rejects the profile.
+ */
+class FilterRuleEngine {
+    constructor(ruleSet = DEFAULT_RULE_SET) {
+        if (!ruleSet || !Array.isArray(ruleSet.rules)) {
+            throw new Error('Invalid filter rule set: expected { version, rules: [...] }');
+        }
+        if (!ruleSet.version) {
+            throw new Error('Invalid filter rule set: "version" is required');
+        }
+
+        this.version = String(ruleSet.version);
+        this.checks = ruleSet.rules.map((rule, index) => compileRule(rule, `rules.${index}`));
+    }
+
+    /**
+     * Evaluate a profile - accepts a raw payload or an already normalized model
+     */
+    evaluate(profile, model = normalizeProfile(profile)) {
+        for (const check of this.checks) {
+            const failure = check(model);
+            if (failure) {
+                return {
+                    passed: false,
+                    matchedRule: failure.rule,
+                    filterReason: failure.reason,
+                    ruleSetVersion: this.version
+                };
+            }
+        }
+
+        return {
+            passed: true,
+            matchedRule: null,
+            filterReason: null,
+            ruleSetVersion: this.version
+        };
+    }
+}
+
+/**
+ * FilterProfileRegistry - Named rule sets selected per queue username.
+ * Usernames without an assignment fall back to the "default" profile (filter_rules, or the built-in set).
+ */
+class FilterProfileRegistry {
+    constructor(defaultRuleSet, profiles = {}, assignments = {}) {
+        if (profiles.default) {
+            throw new Error('Invalid filter profiles: "default" is reserved for filter_rules');
+        }
+
+        this.engines = { default: new FilterRuleEngine(defaultRuleSet || undefined) };
+        for (const [name, ruleSet] of Object.entries(profiles)) {
+            try {
+                this.engines[name] = new FilterRuleEngine(ruleSet);
+            } catch (error) {
+                throw new Error(`Filter profile "${name}": ${error.message}`);
+            }
+        }
+
+        for (const [username, name] of Object.entries(assignments)) {
+            if (!this.engines[name]) {
+                throw new Error(`Filter profile assignment for "${username}" references unknown profile "${name}"`);
+            }
+        }
+        this.assignments = { ...assignments };
+    }
+
+    /**
+     * Build from config.json keys: filter_rules, filter_profiles, filter_profile_assignments
+     */
+    static fromConfig(userConfig) {
+        return new FilterProfileRegistry(
+            userConfig.filter_rules,
+            userConfig.filter_profiles,
+            userConfig.filter_profile_assignments
+        );
+    }
+
+    /**
+     * Resolve the profile for a username
+     */
+    forUsername(username) {
+        const name = (username && this.assignments[username]) || 'default';
+        return { name, engine: this.engines[name] };
+    }
+
+    /**
+     * Profile name → rule set version, for status output
+     */
+    describe() {
+        const versions = {};
+        for (const [name, engine] of Object.entries(this.engines)) {
+            versions[name] = engine.version;
+        }
+        return versions;
+    }
+}
+
+module.exports = {
+    FilterRuleEngine,
+    FilterProfileRegistry,
+    DEFAULT_RULE_SET
+};
@@ -0,0 +1,399 @@
+// gc-filter-worker/utils/http-client.js - Shared HTTP client for queue, Django, cooldown and collector APIs
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+
+// One keep-alive agent per protocol, shared by every client, so repeated calls reuse connections
+const AGENTS = {
+    'http:': new http.Agent({ keepAlive: true, maxSockets: 10 }),
+    'https:': new https.Agent({ keepAlive: true, maxSockets: 10 })
+};
+
+// Every client registers here by name so status output can report all endpoint metrics in one place
+// (a client re-created under the same name, e.g. after a worker restart, replaces the old one)
+const CLIENTS = new Map();
+
+/**
+ * Base class for every error raised by HttpClient
+ */
+class HttpClientError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.client = details.client;
+        this.method = details.method;
+        this.endpoint = details.endpoint;
+    }
+}
+
+/**
+ * The server answered with a non-2xx status
+ */
+class HttpStatusError extends HttpClientError {
+    constructor(message, details) {
+        super(message, details);
+        this.statusCode = details.statusCode;
+        this.body = details.body;
+    }
+}
+
+/**
+ * The server answered 2xx but with { success: false }
+ */
+class ApiError extends HttpClientError {
+    constructor(message, details) {
+        super(message, details);
+        this.statusCode = details.statusCode;
+        this.body = details.body;
+    }
+}
+
+/**
+ * The response body was not valid JSON
+ */
+class ResponseParseError extends HttpClientError {
+    constructor(message, details) {
+        super(message, details);
+        this.statusCode = details.statusCode;
+        this.body = details.body;
+    }
+}
+
+/**
+ * No response within the configured timeout
+ */
+class RequestTimeoutError extends HttpClientError {}
+
+/**
+ * Connection-level failure (DNS, refused, reset, ...)
+ */
+class NetworkError extends HttpClientError {
+    constructor(message, details) {
+        super(message, details);
+        this.code = details.code;
+    }
+}
+
+/**
+ * The client's circuit breaker is open - the request was not sent
+ */
+class CircuitOpenError extends HttpClientError {}
+
+/**
+ * Stable key for one logical mutation - the same parts always give the same key, so every retry or
+ * replay of it is recognisable server-side. Array parts (item IDs) are sorted first.
+ */
+function idempotencyKey(...parts) {
+    const material = parts
+        .map(part => (Array.isArray(part) ? part.map(String).sort().join(',') : String(part ?? '')))
+        .join('|');
+    return crypto.createHash('sha256').update(material).digest('hex').slice(0, 32);
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Whether a failed request is worth repeating: transport failures, timeouts, 429 and 5xx
+ */
+function isRetryable(error) {
+    if (error instanceof NetworkError || error instanceof RequestTimeoutError) {
+        return true;
+    }
+    if (error instanceof HttpStatusError) {
+        return error.statusCode === 429 || error.statusCode >= 500;
+    }
+    return false;
+}
+
+/**
+ * Whether a failure means the dependency itself is down (and should count against its breaker).
+ * Any other HTTP answer - 4xx, { success: false }, unparseable body - proves it is reachable.
+ */
+function isOutage(error) {
+    if (error instanceof NetworkError || error instanceof RequestTimeoutError) {
+        return true;
+    }
+    return error instanceof HttpStatusError && error.statusCode >= 500;
+}
+
+/**
+ * HttpClient - JSON-over-HTTP client with keep-alive, retry with jittered exponential backoff,
+ * typed errors and per-endpoint latency metrics.
+ *
+ * With expectEnvelope (the node_api_service convention) a 2xx response must carry { success: true }.
+ * With a breaker (utils/circuit-breaker.js) every attempt is refused with CircuitOpenError while it is open.
+ * A request sent with an idempotencyKey carries it as the Idempotency-Key header on every retry. A 409
+ * answer to it resolves as success only when the server marks it as a replay (already_applied: true, or
+ * the same idempotency_key echoed back); any other 409 is a real conflict and throws HttpStatusError.
+ * healthEndpoint is the GET route breaker probes use (null, the default = no probe is sent, the next real call is
+ * the probe).
+ */
+class HttpClient {
+    constructor(options) {
+        if (!options.baseUrl) {
+            throw new Error(`Missing base URL for HTTP client ${options.name}`);
+        }
+
+        this.name = options.name;
+        this.baseUrl = options.baseUrl;
+        this.apiKey = options.apiKey || null;
+        this.timeout = options.timeout || 10000;
+        this.retries = options.retries || 0;
+        this.backoffMs = options.backoffMs || 500;
+        this.maxBackoffMs = options.maxBackoffMs || 5000;
+        this.expectEnvelope = options.expectEnvelope !== false;
+        this.breaker = options.breaker || null;
+        this.healthEndpoint = options.healthEndpoint ?? null;
+
+        this.metrics = new Map();
+        CLIENTS.set(this.name, this);
+    }
+
+    /**
+     * Send a request and return the parsed JSON body.
+     * endpoint is resolved against baseUrl; an empty endpoint targets baseUrl itself.
+     * options: { body, query, headers, retries, timeout, idempotencyKey }
+     */
+    async request(method, endpoint = '', options = {}) {
+        const retries = options.retries ?? this.retries;
+        let attempt = 0;
+
+        while (true) {
+            if (this.breaker && !this.breaker.canAttempt()) {
+                throw new CircuitOpenError(`${this.name} ${method} ${endpoint || '/'} not sent: circuit open`,
+                    { client: this.name, method, endpoint });
+            }
+
+            try {
+                const result = await this.send(method, endpoint, options);
+                if (this.breaker) this.breaker.recordSuccess();
+                return result;
+            } catch (error) {
+                if (this.breaker) {
+                    if (isOutage(error)) {
+                        this.breaker.recordFailure(error);
+                    } else {
+                        this.breaker.recordSuccess();
+                    }
+                }
+
+                if (attempt >= retries || !isRetryable(error)) {
+                    throw error;
+                }
+
+                // Full jitter: random wait in [0, min(max, base * 2^attempt)]
+                const ceiling = Math.min(this.maxBackoffMs, this.backoffMs * Math.pow(2, attempt));
+                attempt++;
+                await delay(Math.random() * ceiling);
+            }
+        }
+    }
+
+    /**
+     * Health check for a breaker in half-open state: only a 2xx from healthEndpoint closes it - a 404 or
+     * 405 proves the host answers, not that the API works. Resolves true if the breaker is closed afterwards.
+     * Without a health route nothing is sent: it resolves true once the reset timeout has passed, so the
+     * caller goes ahead and its next real call takes the half-open slot.
+     */
+    async probe() {
+        if (!this.breaker) {
+            return true;
+        }
+        if (this.healthEndpoint === null) {
+            return this.breaker.isClosed() || this.breaker.probeDue();
+        }
+        if (!this.breaker.canAttempt()) {
+            return false;
+        }
+
+        try {
+            await this.send('GET', this.healthEndpoint, {});
+            this.breaker.recordSuccess();
+        } catch (error) {
+            // A 2xx without the success envelope still proves the service is up
+            if (error instanceof ApiError) {
+                this.breaker.recordSuccess();
+            } else {
+                this.breaker.recordFailure(error);
+            }
+        }
+        return this.breaker.isClosed();
+    }
+
+    send(method, endpoint, options) {
+        return new Promise((resolve, reject) => {
+            const url = new URL(endpoint, this.baseUrl);
+            for (const [key, value] of Object.entries(options.query || {})) {
+                url.searchParams.set(key, value);
+            }
+
+            const details = { client: this.name, method, endpoint: url.pathname };
+            const label = `${this.name} ${method} ${url.pathname}`;
+            const isHttps = url.protocol === 'https:';
+            const httpModule = isHttps ? https : http;
+
+            const headers = {
+                'Content-Type': 'application/json',
+                ...options.headers
+            };
+            if (this.apiKey) {
+                headers['X-API-Key'] = this.apiKey;
+            }
+            if (options.idempotencyKey) {
+                headers['Idempotency-Key'] = options.idempotencyKey;
+            }
+
+            let postData = null;
+            if (options.body !== undefined && options.body !== null) {
+                postData = JSON.stringify(options.body);
+                headers['Content-Length'] = Buffer.byteLength(postData);
+            }
+
+            const timeout = options.timeout || this.timeout;
+            const startTime = Date.now();
+            let settled = false;
+            const finish = (error, result) => {
+                // A destroyed request also emits 'error' after 'timeout' - only the first outcome counts
+                if (settled) return;
+                settled = true;
+
+                this.recordMetric(`${method} ${url.pathname}`, Date.now() - startTime, error);
+                if (error) {
+                    reject(error);
+                } else {
+                    resolve(result);
+                }
+            };
+
+            const req = httpModule.request({
+                hostname: url.hostname,
+                port: url.port || (isHttps ? 443 : 80),
+                path: url.pathname + url.search,
+                method,
+                headers,
+                agent: AGENTS[url.protocol],
+                timeout
+            }, (res) => {
+                let responseData = '';
+
+                res.on('data', (chunk) => {
+                    responseData += chunk;
+                });
+
+                res.on('end', () => {
+                    const statusCode = res.statusCode;
+                    let parsed;
+
+                    if (statusCode === 409 && options.idempotencyKey) {
+                        try {
+                            parsed = responseData ? JSON.parse(responseData) : {};
+                        } catch (err) {
+                            parsed = {};
+                        }
+                        // A conflict such as "not claimed by this instance" must not read as success
+                        if (parsed.already_applied === true || parsed.idempotency_key === options.idempotencyKey) {
+                            finish(null, { ...parsed, success: true, already_applied: true });
+                            return;
+                        }
+                    }
+
+                    try {
+                        parsed = responseData ? JSON.parse(responseData) : {};
+                    } catch (err) {
+                        if (statusCode < 200 || statusCode >= 300) {
+                            finish(new HttpStatusError(`${label} returned status ${statusCode}: ${responseData.slice(0, 200)}`,
+                                { ...details, statusCode, body: responseData }));
+                        } else {
+                            finish(new ResponseParseError(`${label}: failed to parse response: ${err.message}`,
+                                { ...details, statusCode, body: responseData }));
+                        }
+                        return;
+                    }
+
+                    if (statusCode < 200 || statusCode >= 300) {
+                        finish(new HttpStatusError(`${label} returned status ${statusCode}: ${parsed.error || responseData.slice(0, 200)}`,
+                            { ...details, statusCode, body: parsed }));
+                    } else if (this.expectEnvelope && !parsed.success) {
+                        finish(new ApiError(`${label} error: ${parsed.error || responseData.slice(0, 200)}`,
+                            { ...details, statusCode, body: parsed }));
+                    } else {
+                        finish(null, parsed);
+                    }
+                });
+            });
+
+            req.on('error', (err) => {
+                finish(new NetworkError(`${label} failed: ${err.message}`, { ...details, code: err.code }));
+            });
+
+            req.on('timeout', () => {
+                req.destroy();
+                finish(new RequestTimeoutError(`${label} timed out after ${timeout}ms`, details));
+            });
+
+            if (postData) {
+                req.write(postData);
+            }
+
+            req.end();
+        });
+    }
+
+    recordMetric(key, durationMs, error) {
+        if (!this.metrics.has(key)) {
+            this.metrics.set(key, { count: 0, errors: 0, total_ms: 0, max_ms: 0, last_ms: 0 });
+        }
+
+        const metric = this.metrics.get(key);
+        metric.count++;
+        metric.total_ms += durationMs;
+        metric.max_ms = Math.max(metric.max_ms, durationMs);
+        metric.last_ms = durationMs;
+        if (error) {
+            metric.errors++;
+        }
+    }
+
+    /**
+     * Per-endpoint latency metrics ("METHOD /path" → counts and timings)
+     */
+    getMetrics() {
+        const result = {};
+        for (const [key, metric] of this.metrics) {
+            result[key] = {
+                count: metric.count,
+                errors: metric.errors,
+                avg_ms: Math.round(metric.total_ms / metric.count),
+                max_ms: metric.max_ms,
+                last_ms: metric.last_ms
+            };
+        }
+        return result;
+    }
+}
+
+/**
+ * Metrics for every client created in this process, keyed by client name
+ */
+function getHttpMetrics() {
+    const result = {};
+    for (const [name, client] of CLIENTS) {
+        result[name] = client.getMetrics();
+    }
+    return result;
+}
+
+module.exports = {
+    HttpClient,
+    HttpClientError,
+    HttpStatusError,
+    ApiError,
+    ResponseParseError,
+    RequestTimeoutError,
+    NetworkError,
+    CircuitOpenError,
+    idempotencyKey,
+    getHttpMetrics
+};
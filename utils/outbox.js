@@ -0,0 +1,320 @@
+// gc-filter-worker/utils/outbox.js - Disk-backed journal of post-check side effects (mark → validator add → complete)
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [OUTBOX] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+/**
+ * Outbox - Journals the side effects owed for a checked ID and runs them in order.
+ * Every entry and every finished step is appended to an NDJSON journal before moving on, so after a
+ * crash, restart or outage the unfinished steps are replayed instead of being lost between stages.
+ *
+ * handlers maps step name → async (entry) => boolean; true marks the step done, false (or a throw)
+ * leaves it pending for the next replay.
+ * options.maxAttempts (0 = never) gives up on an entry after that many failed deliveries, but only while none
+ * of its steps is done or skipped - once something was applied the entry has to finish. options.onGiveUp(entry)
+ * is then told, and options.onDelivered(entry) once an entry's last step is done.
+ */
+class Outbox {
+    constructor(filePath, handlers, options = {}) {
+        this.filePath = filePath;
+        this.handlers = handlers;
+        this.compactAfter = options.compactAfter || 500;
+        this.replayConcurrency = options.replayConcurrency || 10;
+        this.maxAttempts = options.maxAttempts || 0;
+        this.onGiveUp = options.onGiveUp || (() => {});
+        this.onDelivered = options.onDelivered || (() => {});
+
+        this.entries = new Map();   // steam ID → { steamId, username, steps, done, created_at, attempts, last_error }
+        this.running = new Map();   // steam ID → delivery promise
+        this.journalLines = 0;
+        this.journalStale = false;  // An append failed - the journal is behind memory until the next compaction
+        this.stats = { added: 0, delivered: 0, step_failures: 0, replays: 0, journal_errors: 0, given_up: 0 };
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.load();
+    }
+
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+
+        try {
+            const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+            for (const line of lines) {
+                if (!line.trim()) continue;
+
+                let record;
+                try {
+                    record = JSON.parse(line);
+                } catch (error) {
+                    // A torn last line from a crash mid-append - the step it described was never confirmed
+                    continue;
+                }
+
+                if (record.op === 'add') {
+                    this.entries.set(record.steam_id, {
+                        steamId: record.steam_id,
+                        username: record.username,
+                        steps: record.steps,
+                        done: [],
+                        created_at: record.created_at,
+                        attempts: 0,
+                        last_error: null
+                    });
+                } else if (record.op === 'step' && this.entries.has(record.steam_id)) {
+                    this.entries.get(record.steam_id).done.push(record.step);
+                } else if (record.op === 'done' || record.op === 'give_up') {
+                    this.entries.delete(record.steam_id);
+                }
+            }
+
+            if (this.entries.size > 0) {
+                logToFile(`Loaded ${this.entries.size} unfinished entries from ${this.filePath}`);
+            }
+        } catch (error) {
+            logToFile(`Error loading outbox journal: ${error.message}`, 'error');
+        }
+
+        this.compact();
+    }
+
+    /**
+     * A failed write (disk full, permissions) is logged, not thrown - the entry still runs from memory,
+     * and the next compaction rewrites the journal from memory
+     */
+    append(record) {
+        try {
+            fs.appendFileSync(this.filePath, JSON.stringify(record) + '\n');
+            this.journalLines++;
+        } catch (error) {
+            this.journalStale = true;
+            this.stats.journal_errors++;
+            logToFile(`Error appending to outbox journal (${record.op} ${record.steam_id}): ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Rewrite the journal with only the unfinished entries
+     */
+    compact() {
+        try {
+            const tmpPath = `${this.filePath}.tmp`;
+            const lines = [];
+
+            for (const entry of this.entries.values()) {
+                lines.push(JSON.stringify({
+                    op: 'add',
+                    steam_id: entry.steamId,
+                    username: entry.username,
+                    steps: entry.steps,
+                    created_at: entry.created_at
+                }));
+                entry.done.forEach(step => lines.push(JSON.stringify({ op: 'step', steam_id: entry.steamId, step })));
+            }
+
+            fs.writeFileSync(tmpPath, lines.length ? lines.join('\n') + '\n' : '');
+            fs.renameSync(tmpPath, this.filePath);
+            this.journalLines = lines.length;
+            this.journalStale = false;
+        } catch (error) {
+            logToFile(`Error compacting outbox journal: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Journal the steps owed for an ID. An ID with an unfinished entry keeps that entry.
+     */
+    add(steamId, username, steps) {
+        const key = String(steamId);
+        if (this.entries.has(key)) {
+            return this.entries.get(key);
+        }
+
+        const entry = {
+            steamId: key,
+            username,
+            steps,
+            done: [],
+            created_at: new Date().toISOString(),
+            attempts: 0,
+            last_error: null
+        };
+
+        this.append({ op: 'add', steam_id: key, username, steps, created_at: entry.created_at });
+        this.entries.set(key, entry);
+        this.stats.added++;
+        return entry;
+    }
+
+    /**
+     * Run an entry's remaining steps in order. Resolves true once every step is done.
+     * Concurrent calls for the same entry share one delivery.
+     */
+    run(entry) {
+        if (!this.running.has(entry.steamId)) {
+            this.running.set(entry.steamId, this.deliver(entry).finally(() => {
+                this.running.delete(entry.steamId);
+            }));
+        }
+        return this.running.get(entry.steamId);
+    }
+
+    async deliver(entry) {
+        for (const step of entry.steps) {
+            if (entry.done.includes(step)) continue;
+
+            let ok;
+            try {
+                ok = await this.handlers[step](entry);
+                if (!ok) {
+                    entry.last_error = `${step}: failed`;
+                }
+            } catch (error) {
+                ok = false;
+                entry.last_error = `${step}: ${error.message}`;
+            }
+
+            // skip() may have settled the step while its handler was running
+            if (entry.done.includes(step)) continue;
+
+            if (!ok) {
+                entry.attempts++;
+                this.stats.step_failures++;
+
+                if (this.maxAttempts && entry.attempts >= this.maxAttempts && entry.done.length === 0) {
+                    this.append({ op: 'give_up', steam_id: entry.steamId, error: entry.last_error });
+                    this.entries.delete(entry.steamId);
+                    this.stats.given_up++;
+                    logToFile(`${entry.steamId}: ${entry.last_error} (attempt ${entry.attempts}) - nothing applied, giving up on the entry`, 'error');
+                    this.onGiveUp(entry);
+                    return false;
+                }
+
+                logToFile(`${entry.steamId}: ${entry.last_error} (attempt ${entry.attempts}) - kept for replay`, 'error');
+                return false;
+            }
+
+            entry.done.push(step);
+            this.append({ op: 'step', steam_id: entry.steamId, step });
+        }
+
+        this.append({ op: 'done', steam_id: entry.steamId });
+        this.entries.delete(entry.steamId);
+        this.stats.delivered++;
+        this.onDelivered(entry);
+
+        if (this.journalStale || this.journalLines >= this.compactAfter) {
+            this.compact();
+        }
+        return true;
+    }
+
+    /**
+     * Retry every unfinished entry (on start, periodically and after a dependency recovers)
+     */
+    async replay() {
+        const pending = Array.from(this.entries.values());
+        if (pending.length === 0) return;
+
+        this.stats.replays++;
+        logToFile(`Replaying ${pending.length} unfinished entries...`);
+
+        // A few at a time, so a backlog built up during an outage does not flood the recovered APIs
+        let delivered = 0;
+        for (let i = 0; i < pending.length; i += this.replayConcurrency) {
+            const chunk = pending.slice(i, i + this.replayConcurrency);
+            const results = await Promise.all(chunk.map(entry => this.run(entry)));
+            delivered += results.filter(Boolean).length;
+        }
+
+        logToFile(`Replay finished: ${delivered}/${pending.length} delivered, ${this.entries.size} still pending`);
+    }
+
+    /**
+     * Steam IDs of entries that still owe the given step
+     */
+    pendingStep(step) {
+        return Array.from(this.entries.values())
+            .filter(entry => entry.steps.includes(step) && !entry.done.includes(step))
+            .map(entry => entry.steamId);
+    }
+
+    /**
+     * Journal a step as settled without running it (it no longer belongs to this worker)
+     */
+    skip(steamId, step, reason) {
+        const entry = this.entries.get(String(steamId));
+        if (!entry || entry.done.includes(step)) return;
+
+        entry.done.push(step);
+        this.append({ op: 'step', steam_id: entry.steamId, step, skipped: reason });
+        logToFile(`${entry.steamId}: step "${step}" skipped (${reason})`);
+    }
+
+    has(steamId) {
+        return this.entries.has(String(steamId));
+    }
+
+    size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Wait for deliveries in progress (at most timeoutMs, 0 = no limit); whatever is still unfinished,
+     * including deliveries that outlast the wait, stays journaled for the next start
+     */
+    async close(timeoutMs = 0) {
+        const running = Promise.all(Array.from(this.running.values()));
+
+        if (timeoutMs > 0) {
+            let timer;
+            const timedOut = await Promise.race([
+                running.then(() => false),
+                new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); })
+            ]);
+            clearTimeout(timer);
+            if (timedOut) {
+                logToFile(`${this.running.size} deliveries still running after ${Math.round(timeoutMs / 1000)}s - left journaled for the next start`, 'error');
+            }
+        } else {
+            await running;
+        }
+
+        this.compact();
+    }
+
+    getStats() {
+        let oldest = null;
+        for (const entry of this.entries.values()) {
+            if (!oldest || entry.created_at < oldest) {
+                oldest = entry.created_at;
+            }
+        }
+
+        return {
+            pending: this.entries.size,
+            in_flight: this.running.size,
+            oldest_pending: oldest,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = Outbox;
@@ -0,0 +1,151 @@
+// gc-filter-worker/utils/profile-cache.js - TTL cache of GC profile responses keyed by account ID
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [PROFILE-CACHE] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+/**
+ * ProfileCache - In-memory LRU with per-entry TTL and optional snapshot persistence.
+ * Map insertion order doubles as recency order: hits are re-inserted, eviction takes the first key.
+ */
+class ProfileCache {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== false;
+        this.ttlMs = (options.ttl_minutes || 360) * 60 * 1000;
+        this.maxEntries = options.max_entries || 10000;
+        this.persistPath = options.persist_path ? path.resolve(options.persist_path) : null;
+        this.persistIntervalMs = (options.persist_interval_seconds || 60) * 1000;
+
+        this.entries = new Map();
+        this.hits = 0;
+        this.misses = 0;
+        this.evictions = 0;
+        this.dirty = false;
+        this.persistTimer = null;
+
+        if (this.enabled && this.persistPath) {
+            this.load();
+            this.persistTimer = setInterval(() => this.save(), this.persistIntervalMs);
+            this.persistTimer.unref();
+        }
+    }
+
+    /**
+     * Cached profile for an account, or null on miss/expiry
+     */
+    get(accountId) {
+        if (!this.enabled) return null;
+
+        const entry = this.entries.get(accountId);
+        if (!entry) {
+            this.misses++;
+            return null;
+        }
+
+        this.entries.delete(accountId);
+        if (Date.now() - entry.fetchedAt > this.ttlMs) {
+            this.dirty = true;
+            this.misses++;
+            return null;
+        }
+
+        this.entries.set(accountId, entry);
+        this.hits++;
+        return entry.profile;
+    }
+
+    set(accountId, profile) {
+        if (!this.enabled) return;
+
+        this.entries.delete(accountId);
+        this.entries.set(accountId, { profile, fetchedAt: Date.now() });
+        this.dirty = true;
+
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+            this.evictions++;
+        }
+    }
+
+    load() {
+        try {
+            if (!fs.existsSync(this.persistPath)) return;
+
+            const snapshot = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+            const now = Date.now();
+            let loaded = 0;
+
+            for (const [accountId, entry] of snapshot.entries || []) {
+                if (now - entry.fetchedAt <= this.ttlMs) {
+                    this.entries.set(accountId, entry);
+                    loaded++;
+                }
+            }
+
+            while (this.entries.size > this.maxEntries) {
+                this.entries.delete(this.entries.keys().next().value);
+            }
+
+            logToFile(`Loaded ${loaded} cached profiles from ${this.persistPath}`);
+        } catch (error) {
+            logToFile(`Error loading profile cache snapshot: ${error.message}`, 'error');
+        }
+    }
+
+    save() {
+        if (!this.persistPath || !this.dirty) return;
+
+        try {
+            // Write to a temp file first so a crash mid-write never leaves a truncated snapshot
+            const tmpPath = `${this.persistPath}.tmp`;
+            fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify({
+                saved_at: new Date().toISOString(),
+                entries: Array.from(this.entries.entries())
+            }));
+            fs.renameSync(tmpPath, this.persistPath);
+            this.dirty = false;
+        } catch (error) {
+            logToFile(`Error saving profile cache snapshot: ${error.message}`, 'error');
+        }
+    }
+
+    getStats() {
+        const lookups = this.hits + this.misses;
+
+        return {
+            enabled: this.enabled,
+            size: this.entries.size,
+            hits: this.hits,
+            misses: this.misses,
+            hit_rate: lookups > 0 ? (this.hits / lookups).toFixed(3) : '0.000',
+            evictions: this.evictions
+        };
+    }
+
+    close() {
+        if (this.persistTimer) {
+            clearInterval(this.persistTimer);
+            this.persistTimer = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = ProfileCache;
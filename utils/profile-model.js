@@ -0,0 +1,52 @@
+// gc-filter-worker/utils/profile-model.js - Normalized view of a CS2 requestPlayersProfile payload
+
+/**
+ * Normalize a raw GC profile into a flat, fully-defaulted model.
+ * Missing protobuf fields come back as null/undefined, so every value gets a defined default here.
+ */
+function normalizeProfile(profile) {
+    const commend = profile.commendation || {};
+    const ranking = profile.ranking || null;
+
+    const friendly = commend.cmd_friendly || 0;
+    const teaching = commend.cmd_teaching || 0;
+    const leader = commend.cmd_leader || 0;
+
+    return {
+        accountId: profile.account_id || 0,
+        medals: profile.medals?.display_items_defidx || [],
+        featuredMedal: profile.medals?.featured_display_item_defidx || null,
+        commendations: {
+            friendly,
+            teaching,
+            leader,
+            total: friendly + teaching + leader
+        },
+        playerLevel: profile.player_level || 0,
+        playerXp: profile.player_cur_xp || 0,
+        ranking: {
+            rankId: ranking?.rank_id || 0,
+            wins: ranking?.wins || 0,
+            rankTypeId: ranking?.rank_type_id || 0
+        },
+        penaltySeconds: profile.penalty_seconds || 0,
+        penaltyReason: profile.penalty_reason || 0,
+        vacBanned: !!profile.vac_banned
+    };
+}
+
+/**
+ * Short human-readable summary of the non-medal fields, for log lines
+ */
+function describeProfile(model) {
+    const penalty = model.penaltySeconds > 0 ?
+        `penalty ${model.penaltySeconds}s (reason ${model.penaltyReason})` :
+        'no penalty';
+
+    return `level ${model.playerLevel}, rank ${model.ranking.rankId} (type ${model.ranking.rankTypeId}, ${model.ranking.wins} wins), ${penalty}, vac ${model.vacBanned ? 'yes' : 'no'}`;
+}
+
+module.exports = {
+    normalizeProfile,
+    describeProfile
+};
@@ -0,0 +1,59 @@
+// gc-filter-worker/utils/profile-store.js - Persists every fetched GC profile for later analysis and replay
+const path = require('path');
+const { createRecordSink } = require('./record-sinks');
+
+/**
+ * ProfileStore - Records each fetched profile together with the filter decision.
+ * Records keep the raw payload under "profile" so tools/replay-profiles.js can re-evaluate them.
+ */
+class ProfileStore {
+    constructor(instanceId, options = {}, apiKey = null) {
+        this.instanceId = instanceId;
+        this.type = options.type || 'none';
+        this.sink = createRecordSink('profile-store', options, {
+            path: path.join(__dirname, '../data/profiles.ndjson'),
+            apiKey
+        });
+        this.recorded = 0;
+    }
+
+    get enabled() {
+        return this.type !== 'none';
+    }
+
+    /**
+     * Record a fetched profile and the decision made on it
+     */
+    async record(steamID64, profile, result, username) {
+        if (!this.enabled) return;
+
+        // Sinks log and swallow their own I/O errors, so a store outage never stalls processing
+        await this.sink.write({
+            steam_id: steamID64.toString(),
+            account_id: profile.account_id,
+            username: username || null,
+            instance_id: this.instanceId,
+            fetched_at: new Date().toISOString(),
+            passed: result.passedChecks,
+            matched_rule: result.matchedRule,
+            filter_reason: result.filterReason,
+            rule_set_version: result.ruleSetVersion,
+            filter_profile: result.filterProfile,
+            profile
+        });
+        this.recorded++;
+    }
+
+    getStats() {
+        return {
+            type: this.type,
+            recorded: this.recorded
+        };
+    }
+
+    async close() {
+        await this.sink.close();
+    }
+}
+
+module.exports = ProfileStore;
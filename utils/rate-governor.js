@@ -0,0 +1,270 @@
+// gc-filter-worker/utils/rate-governor.js - Per-account token buckets in front of GC profile requests
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [RATE-GOVERNOR] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+const WINDOWS = {
+    minute: 60 * 1000,
+    hour: 60 * 60 * 1000,
+    day: 24 * 60 * 60 * 1000
+};
+
+/**
+ * RateGovernor - GC request budgets per Steam account, so the worker stays under Steam's limit
+ * instead of finding it by getting soft-banned.
+ *
+ * One token bucket per window (minute, hour, day); a bucket holds up to its budget and refills
+ * evenly over its window. A GC request needs a token from every bucket. Each ban scales all budgets
+ * by shrink_factor (down to min_factor), and each cooldown decay step scales them back up by one step.
+ * Bucket levels and the scale are saved per account, so restarts do not hand out a fresh budget.
+ *
+ * options (from config.json rate_governor):
+ *   { enabled, per_minute, per_hour, per_day, shrink_factor, min_factor, path, persist_interval_seconds }
+ */
+class RateGovernor {
+    constructor(account, options = {}) {
+        this.account = account || 'default';
+        this.enabled = options.enabled !== false;
+        this.budgets = {
+            minute: options.per_minute ?? 40,
+            hour: options.per_hour ?? 1800,
+            day: options.per_day ?? 25000
+        };
+        this.shrinkFactor = options.shrink_factor ?? 0.7;
+        this.minFactor = options.min_factor ?? 0.2;
+        this.persistPath = path.resolve(options.path || path.join(__dirname, '../data/rate-governor.json'));
+        this.persistIntervalMs = (options.persist_interval_seconds || 30) * 1000;
+
+        if (!(this.shrinkFactor > 0 && this.shrinkFactor <= 1) || !(this.minFactor > 0 && this.minFactor <= 1)) {
+            throw new Error('rate_governor.shrink_factor and rate_governor.min_factor must be in (0, 1]');
+        }
+        Object.entries(this.budgets).forEach(([window, budget]) => {
+            if (!(budget > 0)) {
+                throw new Error(`rate_governor.per_${window} must be a positive number`);
+            }
+        });
+
+        this.factor = 1;
+        this.bans = 0;
+        this.lastBanAt = null;
+        this.buckets = {};
+        this.requests = 0;
+        this.waits = 0;
+        this.waitedMs = 0;
+        this.dirty = false;
+        this.persistTimer = null;
+
+        const now = Date.now();
+        Object.keys(WINDOWS).forEach(window => {
+            this.buckets[window] = { tokens: this.capacity(window), updatedAt: now };
+        });
+
+        if (this.enabled) {
+            this.load();
+            this.persistTimer = setInterval(() => this.save(), this.persistIntervalMs);
+            this.persistTimer.unref();
+        }
+    }
+
+    capacity(window) {
+        return Math.max(1, Math.floor(this.budgets[window] * this.factor));
+    }
+
+    refill(now = Date.now()) {
+        Object.entries(this.buckets).forEach(([window, bucket]) => {
+            const capacity = this.capacity(window);
+            const elapsed = Math.max(0, now - bucket.updatedAt);
+            bucket.tokens = Math.min(capacity, bucket.tokens + elapsed * capacity / WINDOWS[window]);
+            bucket.updatedAt = now;
+        });
+    }
+
+    /**
+     * ms until every bucket holds a whole token (0 = a request may go now)
+     */
+    waitMs(now = Date.now()) {
+        if (!this.enabled) return 0;
+
+        this.refill(now);
+        return Math.max(0, ...Object.entries(this.buckets).map(([window, bucket]) => {
+            if (bucket.tokens >= 1) return 0;
+            return Math.ceil((1 - bucket.tokens) * WINDOWS[window] / this.capacity(window));
+        }));
+    }
+
+    /**
+     * Spend a token for a GC request that is being sent. Retries spend too, so a bucket may go
+     * below zero - the debt is paid off before the next wait ends.
+     */
+    take(now = Date.now()) {
+        if (!this.enabled) return;
+
+        this.refill(now);
+        Object.values(this.buckets).forEach(bucket => {
+            bucket.tokens -= 1;
+        });
+        this.requests++;
+        this.dirty = true;
+    }
+
+    recordWait(ms) {
+        this.waits++;
+        this.waitedMs += ms;
+    }
+
+    /**
+     * A ban was detected - shrink every budget
+     */
+    onBan() {
+        if (!this.enabled) return;
+
+        this.refill();
+        const previous = this.factor;
+        this.factor = Math.max(this.minFactor, this.factor * this.shrinkFactor);
+        this.bans++;
+        this.lastBanAt = Date.now();
+        this.clampTokens();
+        logToFile(`📉 Ban detected - GC request budgets scaled ${previous.toFixed(2)} → ${this.factor.toFixed(2)}: ${this.describe()}`);
+
+        this.dirty = true;
+        this.save();
+    }
+
+    /**
+     * The cooldown level stepped down after healthy operation - give back one shrink step
+     */
+    onDecay() {
+        if (!this.enabled || this.factor >= 1) return;
+
+        this.refill();
+        const previous = this.factor;
+        this.factor = Math.min(1, this.factor / this.shrinkFactor);
+        logToFile(`📈 Cooldown decayed - GC request budgets scaled ${previous.toFixed(2)} → ${this.factor.toFixed(2)}: ${this.describe()}`);
+
+        this.dirty = true;
+        this.save();
+    }
+
+    clampTokens() {
+        Object.entries(this.buckets).forEach(([window, bucket]) => {
+            bucket.tokens = Math.min(bucket.tokens, this.capacity(window));
+        });
+    }
+
+    describe() {
+        return `${this.capacity('minute')}/min, ${this.capacity('hour')}/h, ${this.capacity('day')}/day`;
+    }
+
+    readSnapshot() {
+        if (!fs.existsSync(this.persistPath)) {
+            return { accounts: {} };
+        }
+        const snapshot = JSON.parse(fs.readFileSync(this.persistPath, 'utf8'));
+        return { ...snapshot, accounts: snapshot.accounts || {} };
+    }
+
+    load() {
+        try {
+            const saved = this.readSnapshot().accounts[this.account];
+            if (!saved) return;
+
+            this.factor = Math.min(1, Math.max(this.minFactor, saved.factor ?? 1));
+            this.bans = saved.bans || 0;
+            this.lastBanAt = saved.last_ban_at || null;
+            Object.keys(WINDOWS).forEach(window => {
+                const bucket = saved.buckets && saved.buckets[window];
+                if (bucket) {
+                    this.buckets[window] = { tokens: bucket.tokens, updatedAt: bucket.updated_at };
+                }
+            });
+            this.clampTokens();
+            this.refill();
+
+            logToFile(`Loaded GC request budget state for ${this.account} from ${this.persistPath} (scale ${this.factor.toFixed(2)} after ${this.bans} bans)`);
+        } catch (error) {
+            logToFile(`Error loading rate governor state: ${error.message}`, 'error');
+        }
+    }
+
+    save() {
+        if (!this.enabled || !this.dirty) return;
+
+        try {
+            // Other accounts on this machine share the file - only this account's entry is replaced
+            let snapshot;
+            try {
+                snapshot = this.readSnapshot();
+            } catch (error) {
+                snapshot = { accounts: {} };
+            }
+            snapshot.saved_at = new Date().toISOString();
+            snapshot.accounts[this.account] = {
+                factor: this.factor,
+                bans: this.bans,
+                last_ban_at: this.lastBanAt,
+                buckets: Object.fromEntries(Object.entries(this.buckets).map(([window, bucket]) => [
+                    window, { tokens: bucket.tokens, updated_at: bucket.updatedAt }
+                ]))
+            };
+
+            // Write to a temp file first so a crash mid-write never leaves a truncated snapshot
+            const tmpPath = `${this.persistPath}.tmp`;
+            fs.mkdirSync(path.dirname(this.persistPath), { recursive: true });
+            fs.writeFileSync(tmpPath, JSON.stringify(snapshot, null, 2));
+            fs.renameSync(tmpPath, this.persistPath);
+            this.dirty = false;
+        } catch (error) {
+            logToFile(`Error saving rate governor state: ${error.message}`, 'error');
+        }
+    }
+
+    getStats() {
+        if (!this.enabled) {
+            return { enabled: false };
+        }
+
+        this.refill();
+        return {
+            enabled: true,
+            account: this.account,
+            scale: Number(this.factor.toFixed(3)),
+            bans: this.bans,
+            last_ban_at: this.lastBanAt ? new Date(this.lastBanAt).toISOString() : null,
+            budgets: Object.fromEntries(Object.keys(WINDOWS).map(window => [window, {
+                capacity: this.capacity(window),
+                available: Math.floor(this.buckets[window].tokens)
+            }])),
+            requests: this.requests,
+            waits: this.waits,
+            waited_seconds: Math.round(this.waitedMs / 1000),
+            next_request_in_ms: this.waitMs()
+        };
+    }
+
+    close() {
+        if (this.persistTimer) {
+            clearInterval(this.persistTimer);
+            this.persistTimer = null;
+        }
+        this.save();
+    }
+}
+
+module.exports = RateGovernor;
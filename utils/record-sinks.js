@@ -0,0 +1,149 @@
+// gc-filter-worker/utils/record-sinks.js - Append-only destinations for structured records (NDJSON file or HTTP)
+const fs = require('fs');
+const path = require('path');
+const { HttpClient } = require('./http-client');
+
+/**
+ * Helper for logging
+ */
+function logToFile(message, type = 'info') {
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [RECORD-SINK] ${message}\n`;
+
+    console.log(logMessage.trim());
+
+    const LOG_DIR = path.join(__dirname, '../../logs');
+    if (!fs.existsSync(LOG_DIR)) {
+        fs.mkdirSync(LOG_DIR, { recursive: true });
+    }
+
+    const logFile = type === 'error' ? 'gc_worker_error.log' : 'gc_worker_main.log';
+    fs.appendFileSync(path.join(LOG_DIR, logFile), logMessage);
+}
+
+/**
+ * FileSink - Appends one JSON record per line, rotating file.ndjson → file.ndjson.1 → ... when it grows too large
+ */
+class FileSink {
+    constructor(name, options) {
+        this.name = name;
+        this.filePath = options.path;
+        this.maxBytes = options.maxBytes;
+        this.maxFiles = options.maxFiles;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.currentSize = fs.existsSync(this.filePath) ? fs.statSync(this.filePath).size : 0;
+    }
+
+    async write(record) {
+        const line = JSON.stringify(record) + '\n';
+
+        try {
+            if (this.currentSize > 0 && this.currentSize + Buffer.byteLength(line) > this.maxBytes) {
+                this.rotate();
+            }
+
+            fs.appendFileSync(this.filePath, line);
+            this.currentSize += Buffer.byteLength(line);
+        } catch (error) {
+            logToFile(`${this.name}: failed to append to ${this.filePath}: ${error.message}`, 'error');
+        }
+    }
+
+    rotate() {
+        // Drop the oldest file, then shift the rest up by one
+        const oldest = `${this.filePath}.${this.maxFiles}`;
+        if (fs.existsSync(oldest)) {
+            fs.unlinkSync(oldest);
+        }
+
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            const from = `${this.filePath}.${i}`;
+            if (fs.existsSync(from)) {
+                fs.renameSync(from, `${this.filePath}.${i + 1}`);
+            }
+        }
+
+        fs.renameSync(this.filePath, `${this.filePath}.1`);
+        this.currentSize = 0;
+        logToFile(`${this.name}: rotated ${this.filePath}`);
+    }
+
+    async close() {}
+}
+
+/**
+ * HttpSink - POSTs each record as JSON to a collector endpoint
+ */
+class HttpSink {
+    constructor(name, options) {
+        this.name = name;
+        this.client = new HttpClient({
+            name,
+            baseUrl: options.url,
+            apiKey: options.apiKey,
+            timeout: options.timeout,
+            retries: options.retries,
+            expectEnvelope: false
+        });
+    }
+
+    async write(record) {
+        try {
+            await this.client.request('POST', '', { body: record });
+        } catch (error) {
+            // Records are best-effort - a collector outage must never stall processing
+            logToFile(`${this.name}: collector request failed: ${error.message}`, 'error');
+        }
+    }
+
+    async close() {}
+}
+
+/**
+ * NullSink - Discards records (sink disabled)
+ */
+class NullSink {
+    async write() {}
+    async close() {}
+}
+
+/**
+ * Build a sink from a config section: { type: 'file' | 'http' | 'none', path, max_file_mb, max_files, url }
+ */
+function createRecordSink(name, options = {}, defaults = {}) {
+    const type = options.type || 'none';
+
+    switch (type) {
+        case 'file':
+            return new FileSink(name, {
+                path: path.resolve(options.path || defaults.path),
+                maxBytes: (options.max_file_mb || 50) * 1024 * 1024,
+                maxFiles: options.max_files || 5
+            });
+
+        case 'http':
+            if (!options.url) {
+                throw new Error(`${name}: "url" is required for the http sink`);
+            }
+            return new HttpSink(name, {
+                url: options.url,
+                apiKey: options.api_key || defaults.apiKey,
+                timeout: (options.timeout || 10) * 1000,
+                retries: options.retries || 0
+            });
+
+        case 'none':
+            return new NullSink();
+
+        default:
+            throw new Error(`${name}: unknown sink type "${type}"`);
+    }
+}
+
+module.exports = {
+    createRecordSink,
+    FileSink,
+    HttpSink,
+    NullSink
+};
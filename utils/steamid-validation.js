@@ -0,0 +1,39 @@
+// gc-filter-worker/utils/steamid-validation.js - Cheap SteamID checks that run before any GC request
+const SteamID = require('steamid');
+
+/**
+ * Classify a queued ID without touching Steam.
+ * Returns { valid: true, steamID, accountId } or { valid: false, reason } for IDs that can never
+ * produce a profile - retrying those only burns GC budget.
+ */
+function validateSteamID(steamID64) {
+    let steamID;
+
+    try {
+        steamID = new SteamID(String(steamID64));
+    } catch (error) {
+        return { valid: false, reason: `malformed SteamID (${error.message})` };
+    }
+
+    if (steamID.universe !== SteamID.Universe.PUBLIC) {
+        return { valid: false, reason: `wrong universe (${steamID.universe})` };
+    }
+
+    if (steamID.type !== SteamID.Type.INDIVIDUAL) {
+        return { valid: false, reason: `not an individual account (type ${steamID.type})` };
+    }
+
+    if (!steamID.accountid) {
+        return { valid: false, reason: 'account ID is 0' };
+    }
+
+    if (!steamID.isValid()) {
+        return { valid: false, reason: 'SteamID fails validity check' };
+    }
+
+    return { valid: true, steamID, accountId: steamID.accountid };
+}
+
+module.exports = {
+    validateSteamID
+};
@@ -1,7 +1,12 @@
 // gc-filter-worker/workers/connection-manager.js - Enhanced GC Connection Recovery with Escalating Cooldowns
 const fs = require('fs');
 const path = require('path');
-const CooldownStateManager = require('../utils/cooldown-api');
+const { formatMinutes } = require('../utils/cooldown-policy');
+const { FailureClassifier } = require('../utils/failure-classifier');
+const { HttpClient } = require('../utils/http-client');
+
+// Decay progress is kept in memory per profile and persisted at most this often
+const DECAY_SAVE_INTERVAL = 60000;
 
 function logToFile(message, type = 'info') {
     const timestamp = new Date().toISOString();
@@ -18,36 +23,41 @@ function logToFile(message, type = 'info') {
 }
 
 class ConnectionManager {
-    constructor(filterService, config, instanceId) {
+    /**
+     * cooldown: { stateManager, policy } - the process-wide CooldownStateManager and CooldownPolicy from main.js
+     */
+    constructor(filterService, config, instanceId, cooldown = {}) {
         this.filterService = filterService;
         this.config = config;
         this.instanceId = instanceId;
 
-        // Initialize cooldown state manager (Redis with file fallback)
-        if (!config?.queue_api_url) throw new Error('Missing queue_api_url in config');
-        if (!config?.link_harvester_api_key) throw new Error('Missing link_harvester_api_key in config');
-
-        this.cooldownStateManager = new CooldownStateManager(instanceId, {
-        QUEUE_API_URL: config.queue_api_url,
-        API_KEY: config.link_harvester_api_key
-        });
-
-        // Escalating cooldown configuration
-        this.COOLDOWN_LEVELS = [
-            0,           // Level 0: No cooldown (first attempt)
-            30,          // Level 1: 30 minutes
-            60,          // Level 2: 1 hour
-            120,         // Level 3: 2 hours
-            240,         // Level 4: 4 hours
-            480          // Level 5: 8 hours (maximum)
-        ];
+        if (!cooldown.stateManager) throw new Error('Missing cooldown state manager');
+        if (!cooldown.policy) throw new Error('Missing cooldown policy');
+        this.cooldownStateManager = cooldown.stateManager;
+        this.cooldownPolicy = cooldown.policy;
 
-        this.reset();
+        // Healthy-operation tracking for cooldown decay (runs only while the GC is connected)
+        this.healthyTickAt = null;
+        this.decayTimer = null;
+        this.lastDecaySave = 0;
 
-        // Load cooldown state asynchronously
-        this.loadCooldownState().catch(err => {
-            logToFile(`Error during initial cooldown state load: ${err.message}`, 'error');
-        });
+        // Failures are classified so only real rate limits escalate the cooldown
+        this.classifier = new FailureClassifier(config.FAILURE_POLICIES);
+        this.alertClient = config.ALERT_WEBHOOK_URL ? new HttpClient({
+            name: 'alert-webhook',
+            baseUrl: config.ALERT_WEBHOOK_URL,
+            timeout: 10000,
+            retries: 2,
+            expectEnvelope: false
+        }) : null;
+        this.retryCounts = {};          // category → retries since the last GC connection
+        this.retryTimer = null;
+        this.outageActive = false;      // A Steam/GC outage is being retried - GC silence is not a ban then
+        this.shuttingDown = false;      // Ban or fatal stop underway - later failures are fallout, not new causes
+        this.lastFailure = null;
+        this.failureCounts = {};
+
+        this.reset();
     }
 
     reset() {
@@ -58,31 +68,20 @@ class ConnectionManager {
         logToFile('Connection manager state reset');
     }
 
-    async loadCooldownState() {
-        try {
-            const state = await this.cooldownStateManager.load();
-            this.lastBanTime = state.lastBanTime || 0;
-            this.totalBanCount = state.totalBanCount || 0;
-            this.cooldownLevel = state.cooldownLevel || 0;
+    // main.js loads the state before the worker starts; reads and writes go through its manager
+    get cooldownState() {
+        return this.cooldownStateManager.state;
+    }
 
-            logToFile(`Loaded cooldown state: total bans: ${this.totalBanCount}, cooldown level: ${this.cooldownLevel}`);
-        } catch (error) {
-            logToFile(`Error loading cooldown state: ${error.message}, starting fresh`, 'error');
-            this.lastBanTime = 0;
-            this.totalBanCount = 0;
-            this.cooldownLevel = 0;
-        }
+    get cooldownLevel() {
+        return this.cooldownState.cooldownLevel;
     }
 
-    async saveCooldownState() {
+    // Not awaited by most callers - the manager writes saves in call order, so a late decay save cannot
+    // overwrite the ban that followed it
+    async saveCooldownState(changes) {
         try {
-            const state = {
-                lastBanTime: this.lastBanTime,
-                totalBanCount: this.totalBanCount,
-                cooldownLevel: this.cooldownLevel
-            };
-
-            await this.cooldownStateManager.save(state);
+            await this.cooldownStateManager.save({ ...this.cooldownState, ...changes });
         } catch (error) {
             logToFile(`Error saving cooldown state: ${error.message}`, 'error');
         }
@@ -104,59 +103,177 @@ class ConnectionManager {
         }
     }
     
+    clearRetryTimer() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+    }
+
     onGcConnected() {
         this.clearConnectionTimer();
+        this.clearRetryTimer();
+        this.reset(); // Reset connection attempts on successful connection
         this.lastGcConnectionTime = Date.now();
-        
-        // SUCCESS: Reset cooldown level to 0 for future attempts
+        this.retryCounts = {};
+        this.outageActive = false;
+
+        // Connecting proves little - the level only comes down after sustained healthy processing
         if (this.cooldownLevel > 0) {
-            logToFile(`✅ GC connection successful after cooldown level ${this.cooldownLevel} - resetting to level 0`);
-            this.cooldownLevel = 0;
-            this.saveCooldownState();
+            const { decay } = this.cooldownPolicy.getInfo(this.cooldownState);
+            logToFile(`✅ GC connection successful at cooldown level ${this.cooldownLevel} - decay progress ${this.describeDecay(decay)}`);
         }
-        
-        this.reset(); // Reset connection attempts on successful connection
+        this.startHealthTracking();
+
         logToFile('✅ GC connection successful - ready to process');
     }
+
+    describeDecay(decay) {
+        const parts = [];
+        if (decay.profilesNeeded) parts.push(`${decay.profiles}/${decay.profilesNeeded} profiles`);
+        if (decay.minutesNeeded) parts.push(`${decay.healthyMinutes}/${decay.minutesNeeded} min`);
+        return parts.length > 0 ? parts.join(' or ') : 'disabled';
+    }
+
+    startHealthTracking() {
+        this.stopDecayTimer();
+        this.healthyTickAt = Date.now();
+        // Connected time counts even when the queue is empty
+        this.decayTimer = setInterval(() => this.recordHealthy(0), DECAY_SAVE_INTERVAL);
+    }
+
+    stopDecayTimer() {
+        if (this.decayTimer) {
+            clearInterval(this.decayTimer);
+            this.decayTimer = null;
+        }
+    }
+
+    /**
+     * Stop counting healthy time (GC lost, ban, shutdown) and persist the progress so far
+     */
+    async pauseHealthTracking() {
+        if (this.healthyTickAt === null) {
+            return;
+        }
+        this.recordHealthy(0, { persist: false });
+        this.stopDecayTimer();
+        this.healthyTickAt = null;
+
+        if (this.cooldownLevel > 0) {
+            await this.saveCooldownState({});
+        }
+    }
+
+    /**
+     * A profile came back from the GC
+     */
+    onProfileSuccess() {
+        this.recordHealthy(1);
+    }
+
+    /**
+     * A GC request timed out - the healthy window starts over
+     */
+    onRequestTimeout() {
+        if (this.healthyTickAt !== null) {
+            this.healthyTickAt = Date.now();
+        }
+        const { decayProfiles, decayHealthyMs } = this.cooldownState;
+        if (this.cooldownLevel > 0 && (decayProfiles > 0 || decayHealthyMs > 0)) {
+            logToFile(`⏱️ Request timeout - cooldown decay progress reset (was ${decayProfiles} profiles, ${Math.floor(decayHealthyMs / 60000)} min)`);
+            this.saveCooldownState(this.cooldownPolicy.resetDecay(this.cooldownState));
+        }
+    }
+
+    recordHealthy(profiles, { persist = true } = {}) {
+        if (this.healthyTickAt === null) {
+            return;
+        }
+        const now = Date.now();
+        const healthyMs = now - this.healthyTickAt;
+        this.healthyTickAt = now;
+
+        const previousLevel = this.cooldownLevel;
+        const { state, stepped } = this.cooldownPolicy.recordHealthy(this.cooldownState, { profiles, healthyMs }, now);
+        if (state === this.cooldownState) {
+            return; // Level 0 - nothing to decay
+        }
+
+        if (stepped) {
+            logToFile(`📉 Sustained healthy operation - cooldown level ${previousLevel} → ${state.cooldownLevel} (next ban: ${formatMinutes(this.cooldownPolicy.minutesFor(this.cooldownPolicy.nextLevel(state.cooldownLevel)))})`);
+            this.lastDecaySave = now;
+            this.saveCooldownState(state);
+            this.filterService.rateGovernor.onDecay();
+        } else if (persist && now - this.lastDecaySave >= DECAY_SAVE_INTERVAL) {
+            this.lastDecaySave = now;
+            this.saveCooldownState(state);
+        } else {
+            this.cooldownStateManager.set(state);
+        }
+    }
     
-    onGcDisconnected() {
+    onGcDisconnected(reason) {
         this.clearConnectionTimer();
-        logToFile('❌ GC disconnected during processing - may indicate soft ban');
-        
-        if (!this.recoveryInProgress) {
-            // Don't start recovery immediately, add small delay
-            setTimeout(() => {
-                this.startRecovery();
-            }, 5000);
+        if (!this.filterService.steamClient.steamID) {
+            return; // Lost with the Steam session - that failure is classified on its own
         }
+        return this.handleFailure({ source: 'gc_disconnect', gcStatus: reason });
     }
     
     onSteamError(error) {
-        logToFile(`Steam client error: ${error.message}`, 'error');
         this.clearConnectionTimer();
-        
-        if (!this.recoveryInProgress) {
-            setTimeout(() => {
-                this.startRecovery();
-            }, 10000);
-        }
+        return this.handleFailure({ source: 'steam_error', error });
+    }
+
+    onSteamDisconnected(eresult, message) {
+        this.clearConnectionTimer();
+        return this.handleFailure({ source: 'steam_disconnect', eresult, message });
     }
     
     async handleConnectionTimeout() {
-        logToFile('⏰ GC connection timeout after 2 minutes - likely soft ban detected', 'error');
-        this.gcConnectionAttempts++;
-        
-        // After first timeout, try simple reconnect once
-        if (this.gcConnectionAttempts === 1) {
-            logToFile('Attempting one simple GC reconnection before declaring ban...');
-            await this.attemptSimpleGcReconnection();
-        } else {
-            // Multiple failures = ban detected
-            await this.handleBanDetected();
+        const timeoutSeconds = (this.config.GC_CONNECTION_TIMEOUT || 120000) / 1000;
+        return this.handleFailure({ source: 'gc_timeout', message: `no GC connection after ${timeoutSeconds}s` });
+    }
+
+    /**
+     * Classify a failure and respond with its category's policy (see utils/failure-classifier.js)
+     */
+    async handleFailure(details) {
+        if (this.shuttingDown || !this.filterService.running) {
+            return;
+        }
+
+        const failure = this.classifier.classify({ ...details, outageActive: this.outageActive });
+        const { category, policy } = failure;
+        this.failureCounts[category] = (this.failureCounts[category] || 0) + 1;
+        this.lastFailure = {
+            category,
+            source: failure.source,
+            reason: failure.reason,
+            eresult: failure.eresult,
+            action: policy.action,
+            at: new Date().toISOString()
+        };
+        logToFile(`🔎 ${failure.source}: ${failure.reason} → ${category} (${policy.action})`, 'error');
+
+        if (policy.alert && policy.action !== 'stop') {
+            this.sendAlert(failure, policy.action);
+        }
+
+        switch (policy.action) {
+            case 'escalate':
+                return this.handleBanDetected(failure);
+            case 'recover':
+                return this.startRecovery(failure);
+            case 'retry':
+                return this.scheduleRetry(failure);
+            case 'stop':
+                return this.handleFatalFailure(failure);
         }
     }
     
-    async startRecovery() {
+    async startRecovery(failure) {
         if (this.recoveryInProgress) {
             logToFile('Recovery already in progress, skipping...');
             return;
@@ -165,28 +282,130 @@ class ConnectionManager {
         this.recoveryInProgress = true;
         
         try {
-            await this.handleConnectionTimeout();
+            this.gcConnectionAttempts++;
+
+            // After the first failure, try a simple reconnect once
+            if (this.gcConnectionAttempts === 1) {
+                logToFile('Attempting one simple GC reconnection before declaring ban...');
+                await this.attemptSimpleGcReconnection(failure);
+            } else {
+                // Multiple failures = ban detected
+                await this.handleBanDetected(failure);
+            }
         } catch (error) {
             logToFile(`Recovery error: ${error.message}`, 'error');
-            await this.handleBanDetected();
+            await this.handleBanDetected(failure);
         } finally {
             this.recoveryInProgress = false;
         }
     }
+
+    /**
+     * Reconnect after the policy's delay, without touching the cooldown level
+     */
+    async scheduleRetry(failure) {
+        const { category, policy } = failure;
+        const attempt = (this.retryCounts[category] || 0) + 1;
+
+        if (policy.max_retries && attempt > policy.max_retries) {
+            logToFile(`❌ ${category}: ${policy.max_retries} retries without a GC connection - ${policy.on_exhausted || 'escalate'}`, 'error');
+            return policy.on_exhausted === 'stop' ? this.handleFatalFailure(failure) : this.handleBanDetected(failure);
+        }
+
+        this.retryCounts[category] = attempt;
+        this.outageActive = category === 'steam_outage';
+        this.filterService.processingActive = false;
+        this.clearConnectionTimer();
+        this.clearRetryTimer();
+
+        const delayMs = this.classifier.retryDelay(policy, attempt);
+        const of = policy.max_retries ? `/${policy.max_retries}` : '';
+        logToFile(`🔁 ${category}: retry ${attempt}${of} in ${Math.round(delayMs / 1000)}s (cooldown level stays ${this.cooldownLevel})`);
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            this.retryConnection();
+        }, delayMs);
+    }
+
+    retryConnection() {
+        const filterService = this.filterService;
+        if (this.shuttingDown || !filterService.running) {
+            return;
+        }
+
+        if (!filterService.steamClient.steamID) {
+            // The loggedOn handler launches CS2 and starts the GC connection timer
+            logToFile('🔄 Logging into Steam again...');
+            filterService.login();
+        } else if (!filterService.csgo.haveGCSession) {
+            logToFile('🔄 Relaunching CS2 for a GC connection...');
+            filterService.steamClient.gamesPlayed([730]);
+            this.startConnectionTimer();
+        }
+    }
+
+    /**
+     * Failures a restart cannot fix (credentials, a persistent session conflict): stop without a
+     * cooldown and alert - main.js does not restart a worker that stopped this way
+     */
+    async handleFatalFailure(failure) {
+        this.shuttingDown = true;
+        this.clearConnectionTimer();
+        this.clearRetryTimer();
+
+        logToFile(`🚨 ${failure.category} failure (${failure.reason}) - stopping the filter worker until an operator intervenes`, 'error');
+        logToFile('   No cooldown applied; fix the account or its config, then restart the service', 'error');
+
+        this.filterService.fatalFailure = {
+            category: failure.category,
+            source: failure.source,
+            reason: failure.reason,
+            eresult: failure.eresult,
+            at: new Date().toISOString()
+        };
+        await this.sendAlert(failure, 'stop');
+
+        if (typeof this.filterService.stop === 'function') {
+            await this.filterService.stop();
+        }
+    }
+
+    async sendAlert(failure, action) {
+        const alert = {
+            instance_id: this.instanceId,
+            account: this.config.steam_username || null,
+            category: failure.category,
+            source: failure.source,
+            reason: failure.reason,
+            eresult: failure.eresult,
+            action,
+            at: new Date().toISOString()
+        };
+        logToFile(`🚨 ALERT [${failure.category}] ${failure.reason} - action: ${action}`, 'error');
+
+        if (!this.alertClient) {
+            return;
+        }
+        try {
+            await this.alertClient.request('POST', '', { body: alert });
+        } catch (error) {
+            logToFile(`Error sending alert to webhook: ${error.message}`, 'error');
+        }
+    }
     
-    async attemptSimpleGcReconnection() {
+    async attemptSimpleGcReconnection(failure) {
         try {
             logToFile('🔄 Attempting simple GC reconnection...');
             
-            // Check if Steam is still connected
-            if (!this.filterService.steamClient.steamID) {
-                logToFile('Steam client disconnected, declaring ban');
-                await this.handleBanDetected();
-                return;
-            }
-            
             this.filterService.processingActive = false;
             await this.delay(5000); // Wait 5 seconds
+
+            // Without a Steam session this is not the GC refusing us - the Steam failure handling reconnects
+            if (!this.filterService.steamClient.steamID || this.retryTimer || this.shuttingDown) {
+                logToFile('Steam session lost or being retried - leaving reconnection to the Steam failure handling');
+                return;
+            }
             
             logToFile('Launching CS2 for reconnection attempt...');
             this.filterService.steamClient.gamesPlayed([730]);
@@ -194,42 +413,77 @@ class ConnectionManager {
             
         } catch (error) {
             logToFile(`Simple GC reconnection failed: ${error.message}`, 'error');
-            await this.handleBanDetected();
+            await this.handleBanDetected(failure);
         }
     }
     
-    async handleBanDetected() {
-        this.totalBanCount++;
-        this.lastBanTime = Date.now();
-        
-        // Escalate cooldown level (but don't exceed maximum)
+    async handleBanDetected(failure) {
+        this.shuttingDown = true;
+        this.clearRetryTimer();
+        this.stopDecayTimer();
+        this.healthyTickAt = null;
+
+        // Escalate the cooldown level and fix the end time (jitter included) per the shared policy
         const previousLevel = this.cooldownLevel;
-        this.cooldownLevel = Math.min(this.cooldownLevel + 1, this.COOLDOWN_LEVELS.length - 1);
-        const cooldownMinutes = this.COOLDOWN_LEVELS[this.cooldownLevel];
+        const state = this.cooldownPolicy.applyBan(this.cooldownState);
+        const cooldownMinutes = this.cooldownPolicy.minutesFor(state.cooldownLevel);
+        const cooldownMs = state.cooldownEndTime - state.lastBanTime;
         
-        logToFile(`🚫 SOFT BAN DETECTED (ban #${this.totalBanCount})`, 'error');
+        logToFile(`🚫 SOFT BAN DETECTED (ban #${state.totalBanCount})`, 'error');
+        if (failure) {
+            logToFile(`   - Cause: ${failure.category} (${failure.source}: ${failure.reason})`, 'error');
+        }
         logToFile(`📊 Escalating Cooldown Strategy:`, 'error');
-        logToFile(`   - Previous level: ${previousLevel} (${this.COOLDOWN_LEVELS[previousLevel]}min)`, 'error');
-        logToFile(`   - New level: ${this.cooldownLevel} (${cooldownMinutes}min)`, 'error');
-        logToFile(`   - Total bans since start: ${this.totalBanCount}`, 'error');
+        logToFile(`   - Previous level: ${previousLevel} (${formatMinutes(this.cooldownPolicy.minutesFor(previousLevel))})`, 'error');
+        const jittered = this.cooldownPolicy.jitter > 0 ? `, ${formatMinutes(Math.round(cooldownMs / 6000) / 10)} with jitter` : '';
+        logToFile(`   - New level: ${state.cooldownLevel} (${formatMinutes(cooldownMinutes)}${jittered})`, 'error');
+        logToFile(`   - Total bans since start: ${state.totalBanCount}`, 'error');
         logToFile(`   - GC connection attempts this session: ${this.gcConnectionAttempts}`, 'error');
         
         // Show escalation path
-        const remainingLevels = this.COOLDOWN_LEVELS.slice(this.cooldownLevel + 1);
+        const remainingLevels = this.cooldownPolicy.levels.slice(state.cooldownLevel + 1);
         if (remainingLevels.length > 0) {
-            logToFile(`   - Next levels: ${remainingLevels.join('min → ')}min`, 'error');
+            logToFile(`   - Next levels: ${remainingLevels.map(formatMinutes).join(' → ')}`, 'error');
         } else {
-            logToFile(`   - At maximum cooldown level`, 'error');
+            logToFile(`   - At maximum cooldown level (next ban: level ${this.cooldownPolicy.nextLevel(state.cooldownLevel)})`, 'error');
         }
         
-        // Save state before shutdown
-        this.saveCooldownState();
+        // Save state before shutdown; the ban goes into the history with the rates that led to it,
+        // then the GC request budgets shrink
+        this.saveCooldownState(state);
+        this.cooldownStateManager.recordBan(this.buildBanEvent(state, failure));
+        this.filterService.rateGovernor.onBan();
         
         // Clean shutdown sequence
-        await this.performCleanShutdown(cooldownMinutes / 60); // Convert to hours for compatibility
+        await this.performCleanShutdown(state.cooldownEndTime);
     }
     
-    async performCleanShutdown(cooldownHours) {
+    /**
+     * Ban history entry: when, why, the cooldown applied and the GC request rates of the session
+     */
+    buildBanEvent(state, failure) {
+        const governor = this.filterService.rateGovernor.getStats();
+
+        return {
+            instance_id: this.instanceId,
+            account: this.config.steam_username || null,
+            at: new Date(state.lastBanTime).toISOString(),
+            ban_number: state.totalBanCount,
+            category: failure ? failure.category : 'unknown',
+            source: failure ? failure.source : null,
+            reason: failure ? failure.reason : null,
+            eresult: failure ? failure.eresult : null,
+            cooldown_level: state.cooldownLevel,
+            cooldown_minutes: this.cooldownPolicy.minutesFor(state.cooldownLevel),
+            cooldown_end: new Date(state.cooldownEndTime).toISOString(),
+            ...this.filterService.requestRate.getStats(state.lastBanTime),
+            consecutive_timeouts: this.filterService.consecutiveTimeouts,
+            budget_scale: governor.enabled ? governor.scale : null
+        };
+    }
+
+    async performCleanShutdown(cooldownEndTime) {
+        const cooldownHours = ((cooldownEndTime - Date.now()) / (60 * 60 * 1000)).toFixed(1);
         logToFile(`🔄 Starting clean shutdown for ${cooldownHours}h cooldown...`);
         
         try {
@@ -247,7 +501,8 @@ class ConnectionManager {
             this.filterService.processingActive = false;
             this.clearConnectionTimer();
             
-            // Log off from Steam
+            // Log off from Steam - a Steam Guard prompt still being answered belongs to the old session
+            this.filterService.steamGuard.cancel();
             if (this.filterService.steamClient.steamID) {
                 logToFile('🚪 Logging off from Steam...');
                 this.filterService.steamClient.logOff();
@@ -256,8 +511,7 @@ class ConnectionManager {
             }
             
             // Final logging
-            const nextRestartTime = new Date(Date.now() + (cooldownHours * 60 * 60 * 1000));
-            logToFile(`⏰ Filter worker will restart at: ${nextRestartTime.toISOString()}`);
+            logToFile(`⏰ Filter worker will restart at: ${new Date(cooldownEndTime).toISOString()}`);
             logToFile(`🛑 Filter worker entering ${cooldownHours}h cooldown (level ${this.cooldownLevel})...`);
             logToFile(`ℹ️ Other services (UniquenessChecker, Submitter, HTTP API) continue running`);
             
@@ -271,7 +525,7 @@ class ConnectionManager {
 
             // Set a flag that main.js can check
             this.filterService.isBanned = true;
-            this.filterService.banEndTime = Date.now() + (cooldownHours * 60 * 60 * 1000);
+            this.filterService.banEndTime = cooldownEndTime;
 
         } catch (error) {
             logToFile(`❌ Error during clean shutdown: ${error.message}`, 'error');
@@ -280,6 +534,7 @@ class ConnectionManager {
                 await this.filterService.stop();
             }
             this.filterService.isBanned = true;
+            this.filterService.banEndTime = cooldownEndTime;
         }
     }
     
@@ -289,31 +544,7 @@ class ConnectionManager {
     
     // Utility methods for status reporting
     getCooldownInfo() {
-        if (!this.lastBanTime) {
-            return {
-                inCooldown: false,
-                totalBans: this.totalBanCount,
-                cooldownLevel: this.cooldownLevel
-            };
-        }
-        
-        const cooldownMinutes = this.COOLDOWN_LEVELS[this.cooldownLevel];
-        const cooldownEndTime = this.lastBanTime + (cooldownMinutes * 60 * 1000);
-        const remainingMs = Math.max(0, cooldownEndTime - Date.now());
-        
-        return {
-            inCooldown: remainingMs > 0,
-            cooldownLevel: this.cooldownLevel,
-            cooldownMinutes: cooldownMinutes,
-            cooldownHours: cooldownMinutes / 60,
-            remainingMs: remainingMs,
-            endTime: cooldownEndTime,
-            totalBans: this.totalBanCount,
-            escalationPath: this.COOLDOWN_LEVELS,
-            nextCooldownMinutes: this.cooldownLevel < this.COOLDOWN_LEVELS.length - 1 ? 
-                               this.COOLDOWN_LEVELS[this.cooldownLevel + 1] : 
-                               this.COOLDOWN_LEVELS[this.COOLDOWN_LEVELS.length - 1]
-        };
+        return this.cooldownPolicy.getInfo(this.cooldownState);
     }
     
     getStatus() {
@@ -324,26 +555,35 @@ class ConnectionManager {
             recoveryInProgress: this.recoveryInProgress,
             lastGcConnection: this.lastGcConnectionTime,
             timeSinceLastGcConnection: this.lastGcConnectionTime ? Date.now() - this.lastGcConnectionTime : null,
-            cooldown: cooldownInfo
+            cooldown: cooldownInfo,
+            failures: this.getFailureInfo()
+        };
+    }
+
+    getFailureInfo() {
+        return {
+            last: this.lastFailure,
+            counts: this.failureCounts,
+            retries: this.retryCounts,
+            retry_pending: !!this.retryTimer,
+            outage_active: this.outageActive,
+            policies: this.classifier.describe()
         };
     }
     
     // Method to manually reset cooldown (for testing/manual intervention)
     resetCooldown() {
-        this.lastBanTime = 0;
-        this.cooldownLevel = 0;
-        this.saveCooldownState();
+        this.saveCooldownState({ lastBanTime: 0, cooldownLevel: 0, cooldownEndTime: 0, decayProfiles: 0, decayHealthyMs: 0 });
         logToFile('🔧 Cooldown manually reset to level 0');
     }
     
     // Method to manually set cooldown level (for testing)
     setCooldownLevel(level) {
-        if (level >= 0 && level < this.COOLDOWN_LEVELS.length) {
-            this.cooldownLevel = level;
-            this.saveCooldownState();
-            logToFile(`🔧 Cooldown level manually set to ${level} (${this.COOLDOWN_LEVELS[level]}min)`);
+        if (level >= 0 && level <= this.cooldownPolicy.maxLevel) {
+            this.saveCooldownState({ ...this.cooldownPolicy.resetDecay(this.cooldownState), cooldownLevel: level });
+            logToFile(`🔧 Cooldown level manually set to ${level} (${formatMinutes(this.cooldownPolicy.minutesFor(level))})`);
         } else {
-            logToFile(`❌ Invalid cooldown level ${level}. Valid range: 0-${this.COOLDOWN_LEVELS.length - 1}`, 'error');
+            logToFile(`❌ Invalid cooldown level ${level}. Valid range: 0-${this.cooldownPolicy.maxLevel}`, 'error');
         }
     }
 }
@@ -1,28 +1,59 @@
 // gc-filter-worker/workers/filter-service.js - Queue-based filter service 
 const SteamUser = require('steam-user');
 const SteamTotp = require('steam-totp');
-const GlobalOffensive = require('globaloffensive');
-const SteamID = require('steamid');
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const http = require('http');
 const ConnectionManager = require('./connection-manager');
+const { FilterProfileRegistry } = require('../utils/filter-rules');
+const ProfileStore = require('../utils/profile-store');
+const AuditLog = require('../utils/audit-log');
+const ProfileCache = require('../utils/profile-cache');
+const FailureTracker = require('../utils/failure-tracker');
+const { validateSteamID } = require('../utils/steamid-validation');
+const AckBuffer = require('../utils/ack-buffer');
+const Outbox = require('../utils/outbox');
+const BatchSizer = require('../utils/batch-sizer');
+const RateGovernor = require('../utils/rate-governor');
+const { RequestRateMeter } = require('../utils/ban-history');
+const { createQueueBackend } = require('../queue');
+const { createSteamClients } = require('../steam');
+const SteamGuardHandler = require('../steam/steam-guard');
+const { normalizeProfile, describeProfile } = require('../utils/profile-model');
+const { HttpClient, CircuitOpenError, idempotencyKey, getHttpMetrics } = require('../utils/http-client');
+const CircuitBreaker = require('../utils/circuit-breaker');
 
 // Configuration
 const CONFIG = {
     MAFILE_PATH: path.join(__dirname, '../steamauth.maFile'),
-    CONFIG_PATH: '/etc/secrets/config.json',
+    CONFIG_PATH: process.env.GC_FILTER_WORKER_CONFIG_PATH || '/etc/secrets/config.json',
     LOG_DIR: path.join(__dirname, '../../logs'),
+    STEAM_CLIENT: { type: 'steam' },  // 'steam' or 'simulator' (see steam/simulator.js)
 
     // API settings (must come from /etc/secrets/config.json on Render)
     QUEUE_API_URL: null,
     API_KEY: null,
     DJANGO_API_URL: null,
+    DJANGO_HEALTH_URL: null,        // GET route answering 2xx for breaker probes (none: the next outbox mark probes)
 
     // Queue settings
-    CLAIM_BATCH_SIZE: 10,           // Claim 10 IDs at once from queue
-    EMPTY_QUEUE_DELAY: 10000,       // 10 seconds when queue is empty
+    QUEUE_BACKEND: { type: 'http' }, // 'http' (node_api_service), 'redis', 'memory' or 'file'
+    CLAIM_BATCH_SIZE: 10,           // Starting claim size - adapts to measured throughput from there
+    MIN_BATCH_SIZE: 1,
+    MAX_BATCH_SIZE: 50,
+    BATCH_TARGET_WINDOW: 120000,    // Without leases, batches are sized to finish within half of this
+    PREFETCH_THRESHOLD: 2,          // Claim the next batch while this many items are left
+    CLAIM_LEASE: 120000,            // Claims expire after 2 minutes unless renewed (0 = no lease)
+    LEASE_RENEW_INTERVAL: 40000,    // Renew held claims every 40 seconds
+    EMPTY_QUEUE_DELAY: 10000,       // 10 seconds after the first empty claim...
+    EMPTY_QUEUE_MAX_DELAY: 120000,  // ...doubling per empty claim up to 2 minutes
+    CLAIM_WAIT: 0,                  // Long-poll: seconds the API may hold an empty claim open (0 = off)
+    MAX_ITEM_ATTEMPTS: 5,           // Failed attempts before an ID goes to the dead-letter queue
+    ACK_FLUSH_SIZE: 10,             // Send buffered complete/release calls once this many are pending
+    ACK_FLUSH_INTERVAL: 5000,       // ...or at least this often
+    OUTBOX_PATH: path.join(__dirname, '../data/outbox.ndjson'), // Journal of mark/validator/complete steps
+    OUTBOX_REPLAY_INTERVAL: 60000,  // Retry unfinished steps every minute
+    OUTBOX_CLOSE_TIMEOUT: 30000,    // Shutdown waits this long for running deliveries, then leaves them journaled
+    OUTBOX_MAX_ATTEMPTS: 5,         // Failed deliveries before an entry with nothing applied yet is given up
 
     // AGGRESSIVE PROCESSING - Fast delays when connected
     PROCESSING_DELAY_MIN: 500,      // 0.5 seconds
@@ -34,11 +65,43 @@ const CONFIG = {
     MAX_RETRIES: 3,
     REQUEST_TIMEOUT: 20000,
 
+    // HTTP client retry policy for queue/Django calls (jittered exponential backoff)
+    HTTP_RETRIES: 2,
+    HTTP_BACKOFF: 500,
+    HTTP_MAX_BACKOFF: 5000,
+
+    // Circuit breakers for node_api_service and Django - claiming and GC lookups pause while either is open
+    BREAKER_FAILURE_THRESHOLD: 5,   // Consecutive outage failures before a circuit opens
+    BREAKER_RESET_TIMEOUT: 30000,   // First probe 30 seconds after opening
+    BREAKER_MAX_RESET_TIMEOUT: 300000, // Failed probes double the wait up to 5 minutes
+
     // Health monitoring
     MAX_CONSECUTIVE_TIMEOUTS: 10,
 
     // Enhanced GC Connection Recovery Settings
     GC_CONNECTION_TIMEOUT: 120000,  // 2 minutes to wait for GC connection
+    FAILURE_POLICIES: {},           // Per-category overrides (see utils/failure-classifier.js)
+    ALERT_WEBHOOK_URL: null,        // POSTed on credential failures and other alerting categories
+
+    // Filter criteria (null = built-in rule set from utils/filter-rules.js)
+    FILTER_RULES: null,
+    FILTER_PROFILES: {},            // Named rule sets
+    FILTER_PROFILE_ASSIGNMENTS: {}, // username → filter profile name
+
+    // Fetched profile persistence (type: 'file' | 'http' | 'none')
+    PROFILE_STORE: { type: 'none' },
+
+    // Per-decision audit trail (type: 'file' | 'http' | 'none')
+    AUDIT_LOG: { type: 'none' },
+
+    // GC profile response cache (in memory; persist_path makes it survive restarts)
+    PROFILE_CACHE: { ttl_minutes: 360, max_entries: 10000 },
+
+    // GC request budgets per Steam account (see utils/rate-governor.js)
+    RATE_GOVERNOR: { per_minute: 40, per_hour: 1800, per_day: 25000 },
+
+    // Steam Guard prompts: app code retries, and how an email code reaches the worker (see steam/steam-guard.js)
+    STEAM_GUARD: { max_app_code_attempts: 3, email_code_timeout: 30 },
 };
 
 // Helper functions
@@ -63,137 +126,23 @@ function logToFile(message, type = 'info') {
     }
 }
 
-// Queue API helper functions
-async function makeQueueApiRequest(method, endpoint, data = null) {
-    return new Promise((resolve, reject) => {
-        const url = new URL(endpoint, CONFIG.QUEUE_API_URL);
-        const isHttps = url.protocol === 'https:';
-        const httpModule = isHttps ? https : http;
-
-        const options = {
-            hostname: url.hostname,
-            port: url.port || (isHttps ? 443 : 80),
-            path: url.pathname,
-            method: method,
-            headers: {
-                'Content-Type': 'application/json',
-                'X-API-Key': CONFIG.API_KEY
-            },
-            timeout: 30000
-        };
-
-        if (data) {
-            const postData = JSON.stringify(data);
-            options.headers['Content-Length'] = Buffer.byteLength(postData);
-        }
-
-        const req = httpModule.request(options, (res) => {
-            let responseData = '';
-
-            res.on('data', (chunk) => {
-                responseData += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    const parsed = JSON.parse(responseData);
-                    if (res.statusCode === 200 && parsed.success) {
-                        resolve(parsed);
-                    } else {
-                        reject(new Error(`Queue API error: ${parsed.error || responseData}`));
-                    }
-                } catch (err) {
-                    reject(new Error(`Failed to parse queue API response: ${err.message}`));
-                }
-            });
-        });
-
-        req.on('error', (err) => {
-            reject(new Error(`Queue API request failed: ${err.message}`));
-        });
-
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('Queue API request timeout'));
-        });
-
-        if (data) {
-            req.write(JSON.stringify(data));
-        }
-
-        req.end();
-    });
-}
-
-// Django API helper functions (unchanged)
-async function markSteamIdProcessed(steamID, config) {
-    return new Promise((resolve, reject) => {
-        const url = new URL(config.DJANGO_API_URL);
-        const isHttps = url.protocol === 'https:';
-        const httpModule = isHttps ? https : http;
-
-        const postData = JSON.stringify({
-            steam_id: steamID.toString()
-        });
-
-        const options = {
-            hostname: url.hostname,
-            port: url.port || (isHttps ? 443 : 80),
-            path: url.pathname,
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Content-Length': Buffer.byteLength(postData),
-                'X-API-Key': config.API_KEY
-            },
-            timeout: 10000
-        };
-
-        const req = httpModule.request(options, (res) => {
-            let data = '';
-
-            res.on('data', (chunk) => {
-                data += chunk;
-            });
-
-            res.on('end', () => {
-                try {
-                    if (res.statusCode === 200) {
-                        const response = JSON.parse(data);
-                        resolve(response);
-                    } else {
-                        reject(new Error(`API returned status ${res.statusCode}: ${data}`));
-                    }
-                } catch (err) {
-                    reject(new Error(`Failed to parse API response: ${err.message}`));
-                }
-            });
-        });
-
-        req.on('error', (err) => {
-            reject(new Error(`API request failed: ${err.message}`));
-        });
-
-        req.on('timeout', () => {
-            req.destroy();
-            reject(new Error('API request timeout'));
-        });
-
-        req.write(postData);
-        req.end();
-    });
-}
-
-async function markSteamIdProcessedWithRetries(steamID, config, maxRetries = 4) {
+// Django API helper functions
+async function markSteamIdProcessedWithRetries(steamID, djangoApi, key, maxRetries = 4) {
     let lastError;
     const backoffDelays = [2000, 4000, 8000, 16000]; // 2s → 4s → 8s → 16s
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
         try {
-            const response = await markSteamIdProcessed(steamID, config);
+            // The backoff below is the retry policy for marking, so the client itself does not retry.
+            // Every attempt carries the same key, so a retry after a lost response is not applied twice
+            const response = await djangoApi.request('POST', '', {
+                body: { steam_id: steamID.toString() },
+                retries: 0,
+                idempotencyKey: key
+            });
 
             if (response.success) {
-                if (response.created) {
+                if (response.created && !response.already_applied) {
                     logToFile(`✅ Marked ${steamID} as processed in database`);
                 } else {
                     logToFile(`ℹ️ ${steamID} was already marked as processed`);
@@ -206,6 +155,11 @@ async function markSteamIdProcessedWithRetries(steamID, config, maxRetries = 4)
             lastError = err;
             logToFile(`Failed to mark ${steamID} as processed (attempt ${attempt}/${maxRetries}): ${err.message}`, 'error');
 
+            // Backing off is pointless once the breaker has given up on Django
+            if (err instanceof CircuitOpenError) {
+                break;
+            }
+
             if (attempt < maxRetries) {
                 const delayMs = backoffDelays[attempt - 1];
                 logToFile(`⏳ Waiting ${delayMs/1000}s before retry...`);
@@ -214,17 +168,26 @@ async function markSteamIdProcessedWithRetries(steamID, config, maxRetries = 4)
         }
     }
 
-    logToFile(`❌ Failed to mark ${steamID} as processed after ${maxRetries} attempts with exponential backoff: ${lastError.message}`, 'error');
+    logToFile(`❌ Failed to mark ${steamID} as processed: ${lastError.message}`, 'error');
     return false;
 }
 
 // Enhanced main worker class
 class FilterService {
-    constructor() {
-        this.steamClient = new SteamUser();
-        this.csgo = new GlobalOffensive(this.steamClient);
+    /**
+     * cooldown: { stateManager, policy } - owned by main.js and shared with ConnectionManager
+     */
+    constructor(cooldown = {}) {
         this.config = this.loadConfig();
-        this.maFile = this.loadMaFile();
+
+        // Real Steam, or the simulator when steam_client.type is "simulator"
+        const { steamClient, csgo, simulator } = createSteamClients(this.config.STEAM_CLIENT);
+        this.steamClient = steamClient;
+        this.csgo = csgo;
+        this.simulator = simulator;
+
+        // The simulator needs no Steam Guard secret, so a missing maFile is fine there
+        this.maFile = this.simulator && !fs.existsSync(this.config.MAFILE_PATH) ? null : this.loadMaFile();
         this.running = false;
         this.processingActive = false;
 
@@ -232,16 +195,138 @@ class FilterService {
         this.instanceId = process.env.GC_FILTER_WORKER_INSTANCE_ID;
         logToFile(`Instance ID: ${this.instanceId}`);
 
+        // The queue backend and the Django mark-processed endpoint, each behind its own circuit breaker
+        const breakerOptions = {
+            failureThreshold: this.config.BREAKER_FAILURE_THRESHOLD,
+            resetTimeoutMs: this.config.BREAKER_RESET_TIMEOUT,
+            maxResetTimeoutMs: this.config.BREAKER_MAX_RESET_TIMEOUT
+        };
+        this.breakers = {
+            queue: new CircuitBreaker('queue', breakerOptions),
+            django_api: new CircuitBreaker('django-api', breakerOptions)
+        };
+        const retryPolicy = {
+            retries: this.config.HTTP_RETRIES,
+            backoffMs: this.config.HTTP_BACKOFF,
+            maxBackoffMs: this.config.HTTP_MAX_BACKOFF
+        };
+        this.queue = createQueueBackend(this.instanceId, this.config.QUEUE_BACKEND, {
+            queueApiUrl: this.config.QUEUE_API_URL,
+            apiKey: this.config.API_KEY,
+            breaker: this.breakers.queue,
+            retryPolicy
+        });
+        this.djangoApi = new HttpClient({
+            name: 'django-api',
+            baseUrl: this.config.DJANGO_API_URL,
+            healthEndpoint: this.config.DJANGO_HEALTH_URL,
+            apiKey: this.config.API_KEY,
+            timeout: 10000,
+            expectEnvelope: false,
+            breaker: this.breakers.django_api,
+            ...retryPolicy
+        });
+
         // Current batch being processed
         this.currentBatch = [];
         this.currentItem = null;
 
-        this.failureStats = {};
+        // Failure counts are shared through the queue backend so poison IDs are caught across restarts and instances
+        this.failureTracker = new FailureTracker(this.instanceId, this.queue, {
+            maxAttempts: this.config.MAX_ITEM_ATTEMPTS
+        });
+
+        // Filter criteria per username - an invalid rule set must stop startup rather than silently change targeting
+        this.filterProfiles = new FilterProfileRegistry(
+            this.config.FILTER_RULES,
+            this.config.FILTER_PROFILES,
+            this.config.FILTER_PROFILE_ASSIGNMENTS
+        );
+        Object.entries(this.filterProfiles.describe()).forEach(([name, version]) => {
+            logToFile(`Filter profile "${name}": rule set version ${version}`);
+        });
+
+        // Every fetched profile is recorded so analysis never needs another GC request
+        this.profileStore = new ProfileStore(this.instanceId, this.config.PROFILE_STORE, this.config.API_KEY);
+        this.auditLog = new AuditLog(this.instanceId, this.config.AUDIT_LOG, this.config.API_KEY);
+
+        // Recently fetched profiles are re-evaluated from cache instead of spending another GC request
+        this.profileCache = new ProfileCache(this.config.PROFILE_CACHE);
+
+        // GC requests are paced by per-account budgets that shrink after bans, not by finding the limit
+        this.rateGovernor = new RateGovernor(this.config.steam_username || this.instanceId, this.config.RATE_GOVERNOR);
+        this.budgetWaitStart = null;
+        // GC requests actually sent this session - recorded with each ban
+        this.requestRate = new RequestRateMeter();
+
+        // Complete/release calls are batched - both queue endpoints accept arrays
+        this.ackBuffer = new AckBuffer(
+            (kind, itemIds, reason, attemptTokens) => (kind === 'complete' ?
+                this.completeInFilterQueue(itemIds, reason, attemptTokens) :
+                this.releaseToFilterQueue(itemIds, attemptTokens)),
+            {
+                flushSize: this.config.ACK_FLUSH_SIZE,
+                flushIntervalMs: this.config.ACK_FLUSH_INTERVAL
+            }
+        );
+
+        // Side effects owed after a check are journaled to disk and replayed until done,
+        // so an ID is never marked without reaching the validator queue and being completed
+        this.outbox = new Outbox(this.config.OUTBOX_PATH, {
+            // Keys are derived from the journaled entry, so a replay after a restart reuses them
+            mark: (entry) => markSteamIdProcessedWithRetries(entry.steamId, this.djangoApi,
+                idempotencyKey(this.instanceId, entry.steamId, 'mark', entry.created_at)),
+            validator_add: (entry) => this.addToValidatorQueue(entry.steamId, entry.username,
+                idempotencyKey(this.instanceId, entry.steamId, entry.username, 'validator_add', entry.created_at)).then(() => true),
+            complete: (entry) => this.ackBuffer.complete(entry.steamId)
+        }, {
+            maxAttempts: this.config.OUTBOX_MAX_ATTEMPTS,
+            // An ID that could never be marked goes back through the queue like any other failed item
+            onGiveUp: (entry) => this.abandonOutboxEntry(entry),
+            onDelivered: (entry) => this.failureTracker.forget(entry.steamId)
+        });
+        this.outboxTimer = null;
+
+        // Claim leases - renewed while items are held, so a dead instance's IDs return to the queue on their own
+        this.leaseTimer = null;
+        this.leasesEnabled = this.config.CLAIM_LEASE > 0;
+        this.lostItemIds = new Set();
+        this.leaseStats = { renewals: 0, failed_renewals: 0, lost: 0, last_renewal: null };
+
+        // Claim sizing - batches should be worked through well inside their lease
+        this.batchSizer = new BatchSizer({
+            initialSize: this.config.CLAIM_BATCH_SIZE,
+            minSize: this.config.MIN_BATCH_SIZE,
+            maxSize: this.config.MAX_BATCH_SIZE,
+            windowMs: this.leasesEnabled ? this.config.CLAIM_LEASE : this.config.BATCH_TARGET_WINDOW
+        });
+        this.prefetchPromise = null;
+        this.prefetched = null;         // { items } once a prefetch claim has returned
+        this.lastClaimFull = false;     // A short claim means the queue is draining - no prefetch then
+        this.consecutiveEmptyClaims = 0;
+        this.lastClaimLongPolled = false;
+        this.claimStats = { claims: 0, prefetched_batches: 0, empty_claims: 0, long_polls: 0 };
 
         // Enhanced connection management
-        this.connectionManager = new ConnectionManager(this, this.config, this.instanceId);
+        this.connectionManager = new ConnectionManager(this, this.config, this.instanceId, cooldown);
+        this.fatalFailure = null;   // Set when a failure stops the worker for good (credentials, ...)
+
+        // Steam Guard prompts are answered: app codes on Steam's clock, email codes from an operator
+        this.steamGuard = new SteamGuardHandler(this.config.STEAM_GUARD, {
+            maFile: this.maFile,
+            getTimeOffset: this.simulator ? (callback) => this.simulator.getTimeOffset(callback) : SteamTotp.getTimeOffset,
+            onFailure: (message) => this.onSteamGuardFailure(message),
+            onEmailCodeRequired: (domain) => this.connectionManager.sendAlert({
+                category: 'credentials',
+                source: 'steam_guard',
+                reason: `Steam Guard email code sent to the ${domain} mailbox`,
+                eresult: null
+            }, 'await_email_code')
+        });
 
         // Stats tracking
+        this.usernameStats = {};
+        this.dependencyPauseStart = null;
         this.requestCount = 0;
         this.consecutiveTimeouts = 0;
         this.lastSuccessTime = Date.now();
@@ -269,22 +354,97 @@ class FilterService {
                     config.LOGIN_TO_GAME_DELAY_MIN = (fs.login_to_game_delay_min || CONFIG.LOGIN_TO_GAME_DELAY_MIN / 1000) * 1000;
                     config.LOGIN_TO_GAME_DELAY_MAX = (fs.login_to_game_delay_max || CONFIG.LOGIN_TO_GAME_DELAY_MAX / 1000) * 1000;
                     config.EMPTY_QUEUE_DELAY = (fs.empty_queue_delay || CONFIG.EMPTY_QUEUE_DELAY / 1000) * 1000;
+                    config.EMPTY_QUEUE_MAX_DELAY = (fs.empty_queue_max_delay || CONFIG.EMPTY_QUEUE_MAX_DELAY / 1000) * 1000;
+                    config.CLAIM_WAIT = fs.claim_wait || CONFIG.CLAIM_WAIT;
+                    config.CLAIM_BATCH_SIZE = fs.claim_batch_size || CONFIG.CLAIM_BATCH_SIZE;
+                    config.MIN_BATCH_SIZE = fs.min_batch_size || CONFIG.MIN_BATCH_SIZE;
+                    config.MAX_BATCH_SIZE = fs.max_batch_size || CONFIG.MAX_BATCH_SIZE;
+                    config.BATCH_TARGET_WINDOW = (fs.batch_target_window || CONFIG.BATCH_TARGET_WINDOW / 1000) * 1000;
+                    config.PREFETCH_THRESHOLD = fs.prefetch_threshold ?? CONFIG.PREFETCH_THRESHOLD;
                     config.ERROR_DELAY = (fs.error_delay || CONFIG.ERROR_DELAY / 1000) * 1000;
                     config.MAX_RETRIES = fs.max_retries || CONFIG.MAX_RETRIES;
                     config.REQUEST_TIMEOUT = (fs.request_timeout || CONFIG.REQUEST_TIMEOUT / 1000) * 1000;
+                    config.HTTP_RETRIES = fs.http_retries ?? CONFIG.HTTP_RETRIES;
+                    config.HTTP_BACKOFF = (fs.http_backoff || CONFIG.HTTP_BACKOFF / 1000) * 1000;
+                    config.HTTP_MAX_BACKOFF = (fs.http_max_backoff || CONFIG.HTTP_MAX_BACKOFF / 1000) * 1000;
+                    config.BREAKER_FAILURE_THRESHOLD = fs.breaker_failure_threshold || CONFIG.BREAKER_FAILURE_THRESHOLD;
+                    config.BREAKER_RESET_TIMEOUT = (fs.breaker_reset_timeout || CONFIG.BREAKER_RESET_TIMEOUT / 1000) * 1000;
+                    config.BREAKER_MAX_RESET_TIMEOUT = (fs.breaker_max_reset_timeout || CONFIG.BREAKER_MAX_RESET_TIMEOUT / 1000) * 1000;
                     config.MAX_CONSECUTIVE_TIMEOUTS = fs.max_consecutive_timeouts || CONFIG.MAX_CONSECUTIVE_TIMEOUTS;
+                    config.MAX_ITEM_ATTEMPTS = fs.max_item_attempts || CONFIG.MAX_ITEM_ATTEMPTS;
+                    config.CLAIM_LEASE = (fs.claim_lease ?? CONFIG.CLAIM_LEASE / 1000) * 1000;
+                    config.LEASE_RENEW_INTERVAL = (fs.lease_renew_interval || config.CLAIM_LEASE / 3000) * 1000;
+                    config.ACK_FLUSH_SIZE = fs.ack_flush_size || CONFIG.ACK_FLUSH_SIZE;
+                    config.ACK_FLUSH_INTERVAL = (fs.ack_flush_interval || CONFIG.ACK_FLUSH_INTERVAL / 1000) * 1000;
+                    config.OUTBOX_PATH = fs.outbox_path ? path.resolve(fs.outbox_path) : CONFIG.OUTBOX_PATH;
+                    config.OUTBOX_REPLAY_INTERVAL = (fs.outbox_replay_interval || CONFIG.OUTBOX_REPLAY_INTERVAL / 1000) * 1000;
+                    config.OUTBOX_CLOSE_TIMEOUT = (fs.outbox_close_timeout || CONFIG.OUTBOX_CLOSE_TIMEOUT / 1000) * 1000;
+                    config.OUTBOX_MAX_ATTEMPTS = fs.outbox_max_attempts || CONFIG.OUTBOX_MAX_ATTEMPTS;
 
                     // Enhanced recovery settings
                     config.GC_CONNECTION_TIMEOUT = (fs.gc_connection_timeout || CONFIG.GC_CONNECTION_TIMEOUT / 1000) * 1000;
                 }
 
+                // Filter criteria rule set
+                if (userConfig.filter_rules) {
+                    config.FILTER_RULES = userConfig.filter_rules;
+                }
+                if (userConfig.filter_profiles) {
+                    config.FILTER_PROFILES = userConfig.filter_profiles;
+                }
+                if (userConfig.filter_profile_assignments) {
+                    config.FILTER_PROFILE_ASSIGNMENTS = userConfig.filter_profile_assignments;
+                }
+
+                // Fetched profile persistence
+                if (userConfig.profile_store) {
+                    config.PROFILE_STORE = userConfig.profile_store;
+                }
+
+                // Per-decision audit trail
+                if (userConfig.audit_log) {
+                    config.AUDIT_LOG = userConfig.audit_log;
+                }
+
+                // Queue backend
+                if (userConfig.queue_backend) {
+                    config.QUEUE_BACKEND = userConfig.queue_backend;
+                }
+
+                // Steam/GC client (real Steam or the simulator)
+                if (userConfig.steam_client) {
+                    config.STEAM_CLIENT = userConfig.steam_client;
+                }
+
+                // Response per failure category, and where alerts go
+                if (userConfig.failure_policies) {
+                    config.FAILURE_POLICIES = userConfig.failure_policies;
+                }
+                config.ALERT_WEBHOOK_URL = userConfig.alert_webhook_url || config.ALERT_WEBHOOK_URL;
+
+                // GC profile response cache
+                if (userConfig.profile_cache) {
+                    config.PROFILE_CACHE = { ...CONFIG.PROFILE_CACHE, ...userConfig.profile_cache };
+                }
+
+                // GC request budgets
+                if (userConfig.rate_governor) {
+                    config.RATE_GOVERNOR = { ...CONFIG.RATE_GOVERNOR, ...userConfig.rate_governor };
+                }
+
+                // Steam Guard prompts
+                if (userConfig.steam_guard) {
+                    config.STEAM_GUARD = { ...CONFIG.STEAM_GUARD, ...userConfig.steam_guard };
+                }
+
                 // Override API settings if present
                 config.DJANGO_API_URL = userConfig.mark_processed_api_url || config.DJANGO_API_URL;
+                config.DJANGO_HEALTH_URL = userConfig.django_health_url || config.DJANGO_HEALTH_URL;
                 config.API_KEY = userConfig.link_harvester_api_key || config.API_KEY;
                 config.QUEUE_API_URL = userConfig.queue_api_url || config.QUEUE_API_URL;
 
                 if (!config.QUEUE_API_URL || !config.API_KEY || !config.DJANGO_API_URL) {
-                    throw new Error('Missing API settings in /etc/secrets/config.json');
+                    throw new Error(`Missing API settings in ${CONFIG.CONFIG_PATH}`);
                 }
 
                 // Provide both naming styles for other modules (ConnectionManager/CooldownStateManager)
@@ -292,11 +452,6 @@ class FilterService {
                 config.link_harvester_api_key = config.API_KEY;
                 config.mark_processed_api_url = config.DJANGO_API_URL;
 
-                // Make queue helper functions use the loaded config (they reference global CONFIG)
-                CONFIG.QUEUE_API_URL = config.QUEUE_API_URL;
-                CONFIG.API_KEY = config.API_KEY;
-                CONFIG.DJANGO_API_URL = config.DJANGO_API_URL;
-
             }
 
             return config;
@@ -321,6 +476,7 @@ class FilterService {
     setupEventHandlers() {
         this.steamClient.on('loggedOn', () => {
             logToFile(`✅ Logged into Steam as ${this.steamClient.steamID.getSteamID64()}`);
+            this.steamGuard.onLoggedOn();
             this.steamClient.setPersona(SteamUser.EPersonaState.Online);
 
             const loginDelay = getRandomDelay(
@@ -340,8 +496,7 @@ class FilterService {
 
         this.csgo.on('connectedToGC', () => {
             logToFile('✅ Connected to CS:GO Game Coordinator');
-            this.connectionManager.clearConnectionTimer();
-            this.connectionManager.reset();
+            this.connectionManager.onGcConnected();
 
             if (!this.processingActive) {
                 this.startProcessing();
@@ -351,16 +506,13 @@ class FilterService {
         this.csgo.on('disconnectedFromGC', (reason) => {
             logToFile(`⚠️ Disconnected from GC: ${reason}`);
             this.processingActive = false;
+            this.connectionManager.pauseHealthTracking();
+            this.connectionManager.onGcDisconnected(reason);
         });
 
         this.steamClient.on('steamGuard', (domain, callback, lastCodeWrong) => {
-            logToFile(`⚠️ steamGuard event fired! domain=${domain}, lastCodeWrong=${lastCodeWrong}`, 'error');
-            if (domain) {
-                logToFile(`Steam is requesting EMAIL code (domain: ${domain}) - this account may not have mobile authenticator`, 'error');
-            } else {
-                logToFile(`Steam is requesting APP code - the provided twoFactorCode may be wrong or expired`, 'error');
-            }
-            // Don't call callback - let it timeout so we can see the issue
+            logToFile(`⚠️ Steam Guard is requesting ${domain ? `an EMAIL code (domain: ${domain})` : 'an APP code'}${lastCodeWrong ? ' - the last code was wrong' : ''}`, 'error');
+            this.steamGuard.handle(domain, callback, lastCodeWrong);
         });
 
         this.steamClient.on('error', (err) => {
@@ -372,14 +524,8 @@ class FilterService {
             logToFile(`❌ Disconnected from Steam: ${msg}`, 'error');
             this.processingActive = false;
 
-            if (this.running) {
-                setTimeout(() => {
-                    if (this.running) {
-                        logToFile('Attempting to reconnect...');
-                        this.login();
-                    }
-                }, 30000);
-            }
+            // The failure policy decides between reconnecting, a cooldown and stopping
+            this.connectionManager.onSteamDisconnected(eresult, msg);
         });
 
         process.on('SIGINT', async () => {
@@ -399,9 +545,11 @@ class FilterService {
         });
     }
 
-    login() {
+    async login() {
         try {
-            const code = SteamTotp.generateAuthCode(this.maFile.shared_secret);
+            // Generated on Steam's clock, so a skewed local clock does not produce a stale code
+            this.steamGuard.cancel();
+            const code = await this.steamGuard.generateAuthCode();
 
             logToFile(`Logging into Steam as ${this.config.steam_username}...`);
             logToFile(`Generated TOTP code: ${code ? code.substring(0, 2) + '***' : 'EMPTY'}`);
@@ -409,7 +557,7 @@ class FilterService {
             this.steamClient.logOn({
                 accountName: this.config.steam_username,
                 password: this.config.steam_password,
-                twoFactorCode: code
+                ...(code && { twoFactorCode: code })
             });
         } catch (error) {
             logToFile(`Failed to login: ${error.message}`, 'error');
@@ -430,17 +578,31 @@ class FilterService {
 
         this.running = true;
         this.sessionStartTime = Date.now();
+        this.requestRate = new RequestRateMeter(this.sessionStartTime);
 
         logToFile('🚀 Starting QUEUE-BASED Steam ID Filter Service Worker');
         logToFile(`📋 Instance ID: ${this.instanceId}`);
         logToFile(`⚡ Processing: ${this.config.PROCESSING_DELAY_MIN/1000}-${this.config.PROCESSING_DELAY_MAX/1000}s delays`);
-        logToFile(`📦 Batch size: ${this.config.CLAIM_BATCH_SIZE} IDs per claim`);
-        logToFile(`🔗 Queue API: ${this.config.QUEUE_API_URL}`);
+        logToFile(`🚦 GC request budget: ${this.rateGovernor.enabled ? `${this.rateGovernor.describe()} for ${this.rateGovernor.account}` : 'unlimited (rate governor disabled)'}`);
+        logToFile(`📦 Batch size: starting at ${this.config.CLAIM_BATCH_SIZE}, adapting between ${this.config.MIN_BATCH_SIZE} and ${this.config.MAX_BATCH_SIZE} IDs per claim`);
+        logToFile(`🔗 Queue backend: ${this.queue.name}${this.config.QUEUE_BACKEND.type === 'http' ? ` (${this.config.QUEUE_API_URL})` : ''}`);
         logToFile(`🌐 Django API: ${this.config.DJANGO_API_URL}`);
 
+        // Finish side effects journaled by the previous run before its claims are released
+        // (renewing first drops completions for IDs whose lease has meanwhile gone to another instance)
+        this.ackBuffer.start();
+        await this.renewLeases();
+        await this.outbox.replay();
+        this.outboxTimer = setInterval(() => this.replayOutbox(), this.config.OUTBOX_REPLAY_INTERVAL);
+
         // Clean up any orphaned claims from previous crash/restart
         await this.cleanupOrphanedClaims();
 
+        if (this.leasesEnabled) {
+            this.leaseTimer = setInterval(() => this.renewLeases(), this.config.LEASE_RENEW_INTERVAL);
+            logToFile(`🔐 Claim lease ${this.config.CLAIM_LEASE/1000}s, renewed every ${this.config.LEASE_RENEW_INTERVAL/1000}s`);
+        }
+
         // Log cooldown info if resuming after ban
         const cooldownInfo = this.connectionManager.getCooldownInfo();
         if (cooldownInfo.totalBans > 0) {
@@ -450,15 +612,25 @@ class FilterService {
         this.login();
     }
 
+    /**
+     * Steam Guard could not be passed - abandon the logon and let the failure policy decide (credentials: stop)
+     */
+    onSteamGuardFailure(message) {
+        this.connectionManager.handleFailure({ source: 'steam_guard', message: `Steam Guard: ${message}` });
+        try {
+            this.steamClient.logOff();
+        } catch (error) {
+            logToFile(`Error abandoning the Steam logon: ${error.message}`, 'error');
+        }
+    }
+
     async cleanupOrphanedClaims() {
         try {
             logToFile('🧹 Checking for orphaned claims from previous run...');
-            const response = await makeQueueApiRequest('POST', 'queue/filter/release-instance', {
-                instance_id: this.instanceId
-            });
+            const releasedCount = await this.queue.releaseInstance();
 
-            if (response.released_count > 0) {
-                logToFile(`✅ Released ${response.released_count} orphaned items from previous run`);
+            if (releasedCount > 0) {
+                logToFile(`✅ Released ${releasedCount} orphaned items from previous run`);
             } else {
                 logToFile('✅ No orphaned claims found');
             }
@@ -477,186 +649,560 @@ class FilterService {
 
     async processQueue() {
         while (this.running && this.processingActive) {
+            let audit = null;
+
             try {
-                // Claim a batch if we don't have any items
+                // No claims or GC lookups while a dependency is down - the result could not be marked or queued
+                if (await this.waitForDependencies()) {
+                    continue;
+                }
+
+                // Stay inside the account's GC request budget - nothing is claimed while it is spent
+                if (await this.waitForRequestBudget()) {
+                    continue;
+                }
+
+                // Take the next batch (prefetched if it is ready) once the current one is done
                 if (this.currentBatch.length === 0) {
-                    const batch = await this.claimBatchFromQueue();
-                    if (!batch || batch.length === 0) {
-                        // Queue is empty, wait and retry
-                        await delay(this.config.EMPTY_QUEUE_DELAY);
+                    const batch = await this.takeNextBatch();
+                    if (batch.length === 0) {
+                        await this.waitForWork();
                         continue;
                     }
                     this.currentBatch = batch;
-                    logToFile(`📦 Claimed batch of ${batch.length} IDs from queue`);
+                    this.lostItemIds.clear();
+                    this.consecutiveEmptyClaims = 0;
+                    logToFile(`📦 Starting batch of ${batch.length} IDs`);
                 }
 
                 // Process next item from current batch
                 const item = this.currentBatch.shift();
+                const itemStartTime = Date.now();
                 this.currentItem = item;
+                this.maybePrefetch();
+                audit = this.auditLog.begin(item);
 
                 logToFile(`Processing ${item.id} (${item.username}) - ${this.currentBatch.length} remaining in batch`);
 
-                const processResult = await this.processSteamIDWithRetries(item.id, this.config.MAX_RETRIES);
+                // Permanently invalid IDs are completed right away - retrying them can never succeed
+                const validation = validateSteamID(item.id);
+                if (!validation.valid) {
+                    audit.verdict = 'invalid';
+                    audit.reason = validation.reason;
+                    audit.queue_action = 'completed';
+                    audit.queue_ack = this.ackBuffer.complete(item.id, `invalid: ${validation.reason}`);
+                    logToFile(`🚫 ${item.id} rejected before GC lookup: ${validation.reason}`);
+                    this.recordUsernameOutcome(item.username, 'invalid');
+
+                    this.currentItem = null;
+                    this.auditLog.write(audit);
+                    continue;
+                }
+
+                const processResult = await this.processSteamIDWithRetries(item.id, this.config.MAX_RETRIES, item.username);
+                this.auditLog.applyResult(audit, processResult);
+
+                // The lease ran out mid-lookup and the ID now belongs to another instance - leave it to them
+                if (this.lostItemIds.delete(String(item.id))) {
+                    audit.queue_action = 'lease_lost';
+                    logToFile(`⌛ ${item.id} lease lost while processing - result discarded`, 'error');
+
+                    this.currentItem = null;
+                    this.auditLog.write(audit);
+                    continue;
+                }
 
                 if (processResult.success) {
-                    // Profile check succeeded - but did marking succeed?
-                    if (processResult.markingSucceeded === false) {
-                        // Profile check passed but Django API failed - release back to queue
-                        await this.releaseToFilterQueue([item.id]);
-                        logToFile(`🔄 ${item.id} released back to queue - profile check succeeded but marking failed after exponential backoff`);
-
-                        if (!this.failureStats[item.id]) {
-                            this.failureStats[item.id] = 0;
+                    // Passed: mark → validator add → complete. Filtered: mark → complete.
+                    // Journaled and not awaited - unfinished steps are replayed later instead of blocking the loop
+                    const steps = processResult.passed ? ['mark', 'validator_add', 'complete'] : ['mark', 'complete'];
+                    const entry = this.outbox.add(item.id, item.username, steps);
+
+                    audit.queue_action = 'completed';
+                    audit.queue_ack = this.outbox.run(entry).then((delivered) => {
+                        audit.marked = entry.done.includes('mark');
+                        if (processResult.passed) {
+                            audit.validator_add = entry.done.includes('validator_add') ? 'ok' : 'pending';
                         }
-                        this.failureStats[item.id]++;
-                    } else if (processResult.passed) {
-                        // Success: Passed filters AND marked - add to validator queue and complete in filter queue
-                        await this.addToValidatorQueue(item.id, item.username);
-                        await this.completeInFilterQueue([item.id]);
-                        logToFile(`✅ ${item.id} passed filters and added to validator queue`);
-
-                        this.requestCount++;
+                        return delivered;
+                    }).catch((error) => {
+                        // Left journaled for the next replay - never an unhandled rejection
+                        logToFile(`Outbox delivery for ${item.id} failed: ${error.message}`, 'error');
+                        return false;
+                    });
+
+                    if (processResult.passed) {
+                        logToFile(`✅ ${item.id} passed filters - queued for marking and the validator queue`);
+                        this.recordUsernameOutcome(item.username, 'passed');
                         this.lastSuccessTime = Date.now();
-                        this.consecutiveTimeouts = 0;
                     } else {
-                        // Filtering failure: ID doesn't meet criteria - complete in filter queue (remove it)
-                        await this.completeInFilterQueue([item.id]);
                         logToFile(`🗑️ ${item.id} filtered out: ${processResult.filterReason || 'does not meet criteria'}`);
-
-                        this.requestCount++;
-                        this.consecutiveTimeouts = 0;
+                        this.recordUsernameOutcome(item.username, 'filtered');
                     }
-                } else {
-                    // Network/timeout error: Release back to queue to try again later
-                    await this.releaseToFilterQueue([item.id]);
-                    logToFile(`🔄 ${item.id} released back to queue due to error: ${processResult.error?.message || 'unknown error'}`);
 
-                    if (!this.failureStats[item.id]) {
-                        this.failureStats[item.id] = 0;
-                    }
-                    this.failureStats[item.id]++;
+                    this.requestCount++;
+                    this.consecutiveTimeouts = 0;
+                } else if (!this.running) {
+                    // stop() releases the current item - nothing is recorded against it
+                    audit.queue_action = 'released';
+                    logToFile(`🔄 ${item.id} left to shutdown release - no failure recorded: ${processResult.error?.message || 'unknown error'}`);
+                    this.auditLog.write(audit);
+                    continue;
+                } else {
+                    // Network/timeout error: Release back to queue to try again later (or dead-letter it).
+                    // Timeouts while the GC was unavailable say nothing about the ID and are not counted.
+                    await this.handleItemFailure(item, processResult.error?.message || 'unknown error', audit, {
+                        countFailure: !processResult.gcUnavailable
+                    });
                 }
 
                 this.currentItem = null;
+                // Not awaited - the record waits for the buffered acknowledgement before it is written
+                this.auditLog.write(audit);
+
+                // Random delay between GC requests (cache hits did not touch the GC)
+                if (!processResult.cacheHit) {
+                    const processingDelay = getRandomDelay(
+                        this.config.PROCESSING_DELAY_MIN,
+                        this.config.PROCESSING_DELAY_MAX
+                    );
+                    await delay(processingDelay);
+                }
 
-                // Random delay between requests
-                const processingDelay = getRandomDelay(
-                    this.config.PROCESSING_DELAY_MIN,
-                    this.config.PROCESSING_DELAY_MAX
-                );
-                await delay(processingDelay);
+                this.batchSizer.recordItem(Date.now() - itemStartTime);
 
             } catch (error) {
                 logToFile(`Error in processing loop: ${error.message}`, 'error');
+                if (audit && !audit.timestamp) {
+                    audit.error = error.message;
+                    this.auditLog.write(audit);
+                }
                 await delay(this.config.ERROR_DELAY);
             }
         }
     }
 
-    async claimBatchFromQueue() {
+    /**
+     * The outbox gave up on an entry before any step was applied - release or dead-letter the ID
+     */
+    abandonOutboxEntry(entry) {
+        const item = { id: entry.steamId, username: entry.username };
+        const audit = this.auditLog.begin(item);
+        audit.verdict = 'error';
+        audit.reason = `outbox: ${entry.last_error}`;
+        audit.attempts = entry.attempts;
+        audit.marked = false;
+
+        this.handleItemFailure(item, audit.reason, audit).then(() => this.auditLog.write(audit)).catch((error) => {
+            logToFile(`Error releasing abandoned outbox entry ${entry.steamId}: ${error.message}`, 'error');
+        });
+    }
+
+    /**
+     * Replay unfinished outbox entries without awaiting - errors are logged, never left unhandled
+     */
+    replayOutbox() {
+        this.outbox.replay().catch((error) => {
+            logToFile(`Outbox replay failed: ${error.message}`, 'error');
+        });
+    }
+
+    /**
+     * Returns true (after probing and waiting) while any dependency circuit is open
+     */
+    async waitForDependencies() {
+        const down = [this.queue, this.djangoApi].filter(dependency => dependency.breaker && !dependency.breaker.isClosed());
+
+        if (down.length === 0) {
+            if (this.dependencyPauseStart) {
+                const pausedFor = Math.round((Date.now() - this.dependencyPauseStart) / 1000);
+                logToFile(`▶️ Dependencies recovered, resuming claims and GC lookups after ${pausedFor}s pause`);
+                this.dependencyPauseStart = null;
+                this.replayOutbox();
+            }
+            return false;
+        }
+
+        if (!this.dependencyPauseStart) {
+            this.dependencyPauseStart = Date.now();
+            logToFile(`⏸️ Pausing claims and GC lookups - circuit open for ${down.map(dependency => dependency.name).join(', ')}`, 'error');
+        }
+
+        // The breaker only lets a probe through once its reset timeout has passed. A dependency without a
+        // health route is not probed - once its probe is due, the next claim or mark is the half-open request
+        let ready = 0;
+        for (const dependency of down) {
+            if (await dependency.probe()) {
+                ready++;
+            }
+        }
+        if (ready === down.length) {
+            return false;
+        }
+
+        await delay(this.config.ERROR_DELAY);
+        return true;
+    }
+
+    /**
+     * Returns true (after waiting up to ERROR_DELAY) while the GC request budget is spent
+     */
+    async waitForRequestBudget() {
+        const waitMs = this.rateGovernor.waitMs();
+
+        if (waitMs === 0) {
+            if (this.budgetWaitStart) {
+                const waitedFor = Date.now() - this.budgetWaitStart;
+                this.rateGovernor.recordWait(waitedFor);
+                logToFile(`▶️ GC request budget available again after ${Math.round(waitedFor / 1000)}s`);
+                this.budgetWaitStart = null;
+            }
+            return false;
+        }
+
+        if (!this.budgetWaitStart) {
+            this.budgetWaitStart = Date.now();
+            logToFile(`🚦 GC request budget spent (${this.rateGovernor.describe()}) - next request in ${Math.ceil(waitMs / 1000)}s`);
+        }
+
+        // Short steps, so a stop or GC disconnect is noticed during a long wait
+        await delay(Math.min(waitMs, this.config.ERROR_DELAY));
+        return true;
+    }
+
+    async handleItemFailure(item, errorMessage, audit, { countFailure = true } = {}) {
+        if (!countFailure) {
+            audit.queue_action = 'released';
+            audit.queue_ack = this.ackBuffer.release(item.id);
+            logToFile(`🔄 ${item.id} released back to queue without counting a failure (GC unavailable): ${errorMessage}`);
+            this.recordUsernameOutcome(item.username, 'released');
+            return;
+        }
+
+        const failureCount = await this.failureTracker.recordFailure(item.id, errorMessage);
+
+        if (this.failureTracker.isExhausted(failureCount)) {
+            audit.queue_action = 'dead_lettered';
+            audit.queue_ack = await this.moveToDeadLetterQueue(item, failureCount, errorMessage);
+
+            if (audit.queue_ack) {
+                this.failureTracker.forget(item.id);
+                logToFile(`☠️ ${item.id} moved to dead-letter queue after ${failureCount} failed attempts: ${errorMessage}`, 'error');
+                this.recordUsernameOutcome(item.username, 'dead_lettered');
+                return;
+            }
+            // Dead-lettering failed - release instead so the ID is not left claimed
+        }
+
+        audit.queue_action = 'released';
+        audit.queue_ack = this.ackBuffer.release(item.id);
+        logToFile(`🔄 ${item.id} released back to queue (failure ${failureCount}/${this.config.MAX_ITEM_ATTEMPTS}): ${errorMessage}`);
+        this.recordUsernameOutcome(item.username, 'released');
+    }
+
+    async moveToDeadLetterQueue(item, failureCount, lastError) {
+        try {
+            await this.queue.deadLetter([{
+                id: String(item.id),
+                username: item.username,
+                failure_count: failureCount,
+                last_error: lastError
+            }], {
+                idempotencyKey: idempotencyKey(this.instanceId, item.id, 'dead-letter', failureCount)
+            });
+            return true;
+        } catch (error) {
+            logToFile(`Failed to move ${item.id} to dead-letter queue: ${error.message}`, 'error');
+            return false;
+        }
+    }
+
+    /**
+     * The prefetched batch if one was claimed (even an empty one - the queue was just asked),
+     * otherwise a fresh claim, long-polling if configured
+     */
+    async takeNextBatch() {
+        if (this.prefetchPromise) {
+            await this.prefetchPromise;
+        }
+
+        if (this.prefetched) {
+            const items = this.prefetched.items;
+            this.prefetched = null;
+            if (items.length > 0) {
+                this.claimStats.prefetched_batches++;
+            }
+            return items;
+        }
+
+        const count = this.batchSizer.nextSize(0);
+        const items = await this.claimBatchFromQueue(count, this.config.CLAIM_WAIT);
+        this.lastClaimFull = items.length >= count;
+        return items;
+    }
+
+    /**
+     * Claim the next batch in the background while the last items of this one are processed
+     */
+    maybePrefetch() {
+        if (this.prefetchPromise || this.prefetched) return;
+        if (this.currentBatch.length > this.config.PREFETCH_THRESHOLD || !this.lastClaimFull) return;
+
+        // The rest of this batch and the current item run before the prefetched batch starts
+        const count = this.batchSizer.nextSize(this.currentBatch.length + 1);
+
+        this.prefetchPromise = this.claimBatchFromQueue(count)
+            .then((items) => {
+                this.prefetched = { items };
+                this.lastClaimFull = items.length >= count;
+            })
+            .finally(() => {
+                this.prefetchPromise = null;
+            });
+    }
+
+    /**
+     * Back off after an empty claim: doubling from EMPTY_QUEUE_DELAY up to EMPTY_QUEUE_MAX_DELAY.
+     * No wait after a long-poll claim - the API already held it open.
+     */
+    async waitForWork() {
+        this.consecutiveEmptyClaims++;
+        this.claimStats.empty_claims++;
+
+        if (this.lastClaimLongPolled) {
+            return;
+        }
+
+        const waitMs = Math.min(
+            this.config.EMPTY_QUEUE_MAX_DELAY,
+            this.config.EMPTY_QUEUE_DELAY * Math.pow(2, this.consecutiveEmptyClaims - 1)
+        );
+        logToFile(`📭 Queue empty (${this.consecutiveEmptyClaims} in a row), next claim in ${Math.round(waitMs/1000)}s`);
+        await delay(waitMs);
+    }
+
+    async claimBatchFromQueue(count, waitSeconds = 0) {
+        this.lastClaimLongPolled = false;
+
         try {
-            const response = await makeQueueApiRequest('POST', 'queue/filter/claim', {
-                instance_id: this.instanceId,
-                count: this.config.CLAIM_BATCH_SIZE
+            const { items, longPolled } = await this.queue.claim(count, {
+                leaseSeconds: this.leasesEnabled ? this.config.CLAIM_LEASE / 1000 : 0,
+                waitSeconds
             });
+            this.claimStats.claims++;
+
+            if (longPolled) {
+                this.lastClaimLongPolled = true;
+                this.claimStats.long_polls++;
+            }
 
-            return response.items || [];
+            return items;
         } catch (error) {
             logToFile(`Failed to claim batch from queue: ${error.message}`, 'error');
             return [];
         }
     }
 
-    async completeInFilterQueue(itemIds) {
+    /**
+     * IDs this worker still holds a claim on: the current batch and item, plus checked IDs
+     * whose completion is still owed by the outbox
+     */
+    getHeldItemIds() {
+        const held = new Set(this.currentBatch.map(item => String(item.id)));
+        if (this.prefetched) {
+            this.prefetched.items.forEach(item => held.add(String(item.id)));
+        }
+        if (this.currentItem) {
+            held.add(String(this.currentItem.id));
+        }
+        this.outbox.pendingStep('complete').forEach(id => held.add(id));
+        return Array.from(held);
+    }
+
+    async renewLeases() {
+        if (!this.leasesEnabled) return;
+
+        const held = this.getHeldItemIds();
+        if (held.length === 0) return;
+
+        try {
+            const result = await this.queue.renew(held, this.config.CLAIM_LEASE / 1000);
+
+            if (!result.supported) {
+                // Older queue API without leases - claims simply never expire there
+                logToFile('⚠️ Queue backend has no lease renewal, disabling claim leases', 'error');
+                this.leasesEnabled = false;
+                if (this.leaseTimer) {
+                    clearInterval(this.leaseTimer);
+                    this.leaseTimer = null;
+                }
+                return;
+            }
+
+            this.leaseStats.renewals++;
+            this.leaseStats.last_renewal = new Date().toISOString();
+
+            if (result.lost.length > 0) {
+                this.dropLostItems(result.lost);
+            }
+        } catch (error) {
+            this.leaseStats.failed_renewals++;
+            if (!(error instanceof CircuitOpenError)) {
+                logToFile(`Failed to renew claim leases for ${held.length} items: ${error.message}`, 'error');
+            }
+        }
+    }
+
+    /**
+     * Forget IDs whose lease expired and were handed to another instance
+     */
+    dropLostItems(lostIds) {
+        const lost = new Set(lostIds);
+        this.leaseStats.lost += lost.size;
+        logToFile(`⌛ Lost lease on ${lost.size} items: ${Array.from(lost).join(', ')}`, 'error');
+
+        this.currentBatch = this.currentBatch.filter(item => !lost.has(String(item.id)));
+        if (this.prefetched) {
+            this.prefetched.items = this.prefetched.items.filter(item => !lost.has(String(item.id)));
+        }
+
+        if (this.currentItem && lost.has(String(this.currentItem.id))) {
+            this.lostItemIds.add(String(this.currentItem.id));
+        }
+
+        // Marking and the validator add still happen; completing is now up to the lease holder
+        lost.forEach(id => this.outbox.skip(id, 'complete', 'lease lost'));
+
+        // Acknowledgements already buffered would complete or release an item another instance now holds
+        const discarded = this.ackBuffer.discard(lost);
+        if (discarded > 0) {
+            logToFile(`⌛ Discarded ${discarded} buffered queue acknowledgements for lost items`);
+        }
+    }
+
+    async completeInFilterQueue(itemIds, reason = null, attemptTokens = itemIds) {
         try {
-            await makeQueueApiRequest('POST', 'queue/filter/complete', {
-                instance_id: this.instanceId,
-                items: itemIds
+            const result = await this.queue.complete(itemIds, {
+                reason,
+                idempotencyKey: idempotencyKey(this.instanceId, 'complete', attemptTokens, reason)
             });
-            logToFile(`✅ Completed ${itemIds.length} items in filter queue`);
+            if (result.alreadyApplied) {
+                logToFile(`ℹ️ ${itemIds.length} items were already completed in filter queue`);
+            } else {
+                logToFile(`✅ Completed ${itemIds.length} items in filter queue`);
+            }
+            return true;
         } catch (error) {
+            if (error instanceof CircuitOpenError) {
+                return null; // Not attempted - the buffer keeps the items without counting a failure
+            }
             logToFile(`Failed to complete items in filter queue: ${error.message}`, 'error');
+            return false;
         }
     }
 
-    async releaseToFilterQueue(itemIds) {
+    async releaseToFilterQueue(itemIds, attemptTokens = itemIds) {
         try {
-            await makeQueueApiRequest('POST', 'queue/filter/release', {
-                instance_id: this.instanceId,
-                items: itemIds
+            const result = await this.queue.release(itemIds, {
+                idempotencyKey: idempotencyKey(this.instanceId, 'release', attemptTokens)
             });
-            logToFile(`🔄 Released ${itemIds.length} items back to filter queue`);
+            if (result.alreadyApplied) {
+                logToFile(`ℹ️ ${itemIds.length} items were already released to filter queue`);
+            } else {
+                logToFile(`🔄 Released ${itemIds.length} items back to filter queue`);
+            }
+            return true;
         } catch (error) {
+            if (error instanceof CircuitOpenError) {
+                return null; // Not attempted - the buffer keeps the items without counting a failure
+            }
             logToFile(`Failed to release items to filter queue: ${error.message}`, 'error');
+            return false;
         }
     }
 
-    async addToValidatorQueue(steamID, username) {
+    async addToValidatorQueue(steamID, username, key) {
         try {
-            await makeQueueApiRequest('POST', 'queue/validator/add', {
-                [username]: [steamID.toString()]
-            });
-            logToFile(`➡️ Added ${steamID} to validator queue for user ${username}`);
+            const result = await this.queue.addToValidator(username, [steamID.toString()], { idempotencyKey: key });
+            if (result.alreadyApplied) {
+                logToFile(`ℹ️ ${steamID} was already in validator queue for user ${username}`);
+            } else {
+                logToFile(`➡️ Added ${steamID} to validator queue for user ${username}`);
+            }
         } catch (error) {
             logToFile(`Failed to add to validator queue: ${error.message}`, 'error');
             throw error;
         }
     }
 
-    async processSteamIDWithRetries(steamID64, maxRetries) {
+    async processSteamIDWithRetries(steamID64, maxRetries, username) {
         let attempts = 0;
         let lastError = null;
         let processResult = null;
 
-        while (attempts < maxRetries) {
+        // A stopped worker has already released the batch - no more attempts
+        while (attempts < maxRetries && this.running) {
             attempts++;
             try {
-                const result = await this.fetchAndCheckProfile(steamID64);
+                const result = await this.fetchAndCheckProfile(steamID64, username);
                 processResult = { success: true, ...result };
                 break;
             } catch (error) {
                 lastError = error;
                 logToFile(`Attempt ${attempts} failed for ${steamID64}: ${error.message}`, 'error');
-                if (attempts < maxRetries) {
+                if (attempts < maxRetries && this.running) {
                     await delay(this.config.ERROR_DELAY);
                 }
             }
         }
 
         if (!processResult) {
-            processResult = { success: false, error: lastError };
-        }
-
-        // Mark as processed in Django database - track success
-        let markingSucceeded = false;
-        if (processResult.success) {
-            markingSucceeded = await markSteamIdProcessedWithRetries(steamID64, this.config);
-            processResult.markingSucceeded = markingSucceeded;
+            processResult = {
+                success: false,
+                error: lastError,
+                gcUnavailable: !!lastError && lastError.requestTimeout && (lastError.gcUnavailable || this.isGcUnavailable())
+            };
         }
+        processResult.attempts = attempts;
 
+        // Marking in Django happens in the outbox, together with the other post-check steps
         return processResult;
     }
 
-    fetchAndCheckProfile(steamID64) {
-        return new Promise((resolve, reject) => {
-            let steamIDObj;
-            let accountID;
-
-            try {
-                steamIDObj = new SteamID(steamID64.toString());
-                accountID = steamIDObj.accountid;
+    /**
+     * Whether a request timeout now is down to the GC (disconnected, recovering, banned or stopping)
+     * rather than the ID
+     */
+    isGcUnavailable() {
+        return !this.running || !this.csgo.haveGCSession ||
+            this.connectionManager.shuttingDown || this.connectionManager.recoveryInProgress;
+    }
 
-                if (!accountID || accountID === 0) {
-                    reject(new Error(`Invalid Steam ID or could not extract account ID from ${steamID64}`));
-                    return;
-                }
+    fetchAndCheckProfile(steamID64, username) {
+        return new Promise((resolve, reject) => {
+            const validation = validateSteamID(steamID64);
+            if (!validation.valid) {
+                reject(new Error(`Steam ID ${steamID64} is invalid: ${validation.reason}`));
+                return;
+            }
+            const steamIDObj = validation.steamID;
+            const accountID = validation.accountId;
 
-                if (steamIDObj.type !== SteamID.Type.INDIVIDUAL) {
-                    reject(new Error(`Steam ID ${steamID64} is not an individual account`));
-                    return;
+            const cachedProfile = this.profileCache.get(accountID);
+            if (cachedProfile) {
+                try {
+                    const result = this.checkProfile(steamID64, cachedProfile, username);
+                    resolve({
+                        success: true,
+                        passed: result.passedChecks,
+                        filterReason: result.filterReason,
+                        gcLatencyMs: 0,
+                        cacheHit: true,
+                        ...result
+                    });
+                } catch (error) {
+                    reject(error);
                 }
-            } catch (error) {
-                reject(new Error(`SteamID construction error for ${steamID64}: ${error.message}`));
                 return;
             }
 
@@ -664,27 +1210,42 @@ class FilterService {
             let requestTimeout = setTimeout(() => {
                 this.consecutiveTimeouts++;
                 logToFile(`⏱️ Request timeout for ${steamID64} (${this.consecutiveTimeouts} consecutive)`, 'error');
+                this.connectionManager.onRequestTimeout();
 
                 if (this.consecutiveTimeouts >= this.config.MAX_CONSECUTIVE_TIMEOUTS) {
                     logToFile(`❌ Too many consecutive timeouts (${this.consecutiveTimeouts}), triggering connection recovery`, 'error');
-                    this.connectionManager.handleConnectionTimeout();
+                    this.connectionManager.handleFailure({
+                        source: 'request_timeouts',
+                        message: `${this.consecutiveTimeouts} consecutive request timeouts`
+                    });
                 }
 
-                reject(new Error('Request timeout'));
+                const error = new Error('Request timeout');
+                error.requestTimeout = true;
+                error.gcUnavailable = this.isGcUnavailable();
+                reject(error);
             }, this.config.REQUEST_TIMEOUT);
 
             // Use callback instead of event listener
+            this.rateGovernor.take();
+            this.requestRate.record();
             this.csgo.requestPlayersProfile(steamIDObj, (profile) => {
                 clearTimeout(requestTimeout);
+                const gcLatencyMs = Date.now() - requestStartTime;
 
                 this.consecutiveTimeouts = 0;
+                this.connectionManager.onProfileSuccess();
 
                 try {
-                    const result = this.checkProfile(steamID64, profile);
+                    const result = this.checkProfile(steamID64, profile, username);
+                    this.profileCache.set(accountID, profile);
+                    this.profileStore.record(steamID64, profile, result, username);
                     resolve({
                         success: true,
                         passed: result.passedChecks,
-                        filterReason: result.filterReason,  // Add this line
+                        filterReason: result.filterReason,
+                        gcLatencyMs,
+                        cacheHit: false,
                         ...result
                     });
                 } catch (error) {
@@ -694,64 +1255,55 @@ class FilterService {
         });
     }
 
-    checkProfile(steamID64, profile) {
+    checkProfile(steamID64, profile, username) {
         if (!profile) {
             throw new Error('No profile data received');
         }
 
-        const medals = profile.medals?.display_items_defidx || [];
-        const commend = profile.commendation || {};
-        const totalCommendations =
-            (commend.cmd_friendly || 0) +
-            (commend.cmd_teaching || 0) +
-            (commend.cmd_leader || 0);
-
-        const unwantedMedals = new Set([
-            4960, 6111, 6112, 6123, 6126, 6129, 4918, 4555, 4759, 6101, 4687,
-            6113, 6106, 6125, 4886, 4853, 4703, 4552, 960, 4959, 4762, 4919,
-            4828, 4800, 4761, 4626, 4986, 4873, 6127, 6128, 4799, 4702, 909,
-            4550, 6105, 4798, 4553, 4760, 4958, 6114, 4884, 4701, 4700, 6124,
-            4885, 6130, 4690, 6115, 4691, 6131, 4887, 935, 912, 908, 902, 4552, 968,
-            952, 946, 6034, 6117, 6116, 6120, 6109, 6104, 6108, 6118, 4623, 4851
-        ]);
-
-        let passed = true;
-        let filterReason = null;
-
-        if (totalCommendations >= 100) {
-            passed = false;
-            filterReason = `commendations ≥ 100 (${totalCommendations})`;
-        } else if (!medals.includes(874)) {
-            passed = false;
-            filterReason = "missing medal 874";
-        } else if (medals.length < 3) {
-            passed = false;
-            filterReason = `less than 3 medals (has ${medals.length})`;
-        } else if (medals.find(m => unwantedMedals.has(m)) !== undefined) {
-            const firstUnwanted = medals.find(m => unwantedMedals.has(m));
-            passed = false;
-            filterReason = `has unwanted medal: ${firstUnwanted}`;
-        }
-
-        const resultMessage = passed ? 
-            `✅ ${steamID64} - Passed filters` : 
-            `❌ ${steamID64} - Failed (${filterReason})`;
-        
+        const model = normalizeProfile(profile);
+        const filterProfile = this.filterProfiles.forUsername(username);
+        const decision = filterProfile.engine.evaluate(profile, model);
+
+        const resultMessage = decision.passed ?
+            `✅ ${steamID64} - Passed filters [profile: ${filterProfile.name}] (${describeProfile(model)})` :
+            `❌ ${steamID64} - Failed (${decision.filterReason}) [profile: ${filterProfile.name}, rule: ${decision.matchedRule}] (${describeProfile(model)})`;
+
         logToFile(resultMessage);
 
         return {
-            passedChecks: passed,
-            filterReason: filterReason,  // Add this line
+            passedChecks: decision.passed,
+            filterReason: decision.filterReason,
+            matchedRule: decision.matchedRule,
+            ruleSetVersion: decision.ruleSetVersion,
+            filterProfile: filterProfile.name,
             profileData: {
                 account_id: profile.account_id,
                 steam_id: steamID64,
-                commendations: commend,
-                medals: medals,
+                commendations: model.commendations,
+                medals: model.medals,
+                player_level: model.playerLevel,
+                ranking: model.ranking,
+                penalty_seconds: model.penaltySeconds,
+                penalty_reason: model.penaltyReason,
+                vac_banned: model.vacBanned,
                 timestamp: new Date().toISOString()
             }
         };
     }
 
+    recordUsernameOutcome(username, outcome) {
+        const key = username || 'unknown';
+        if (!this.usernameStats[key]) {
+            this.usernameStats[key] = { processed: 0, passed: 0, filtered: 0, invalid: 0, released: 0, dead_lettered: 0 };
+        }
+
+        const stats = this.usernameStats[key];
+        stats[outcome]++;
+        if (outcome === 'passed' || outcome === 'filtered' || outcome === 'invalid') {
+            stats.processed++;
+        }
+    }
+
     getStats() {
         const uptime = (Date.now() - this.sessionStartTime) / 1000;
         const avgRate = uptime > 0 ? this.requestCount / uptime : 0;
@@ -760,7 +1312,14 @@ class FilterService {
             running: this.running,
             processing_active: this.processingActive,
             instance_id: this.instanceId,
+            filter_profiles: this.filterProfiles.describe(),
             current_batch_size: this.currentBatch.length,
+            batching: {
+                ...this.batchSizer.getStats(),
+                prefetched_pending: this.prefetched ? this.prefetched.items.length : 0,
+                consecutive_empty_claims: this.consecutiveEmptyClaims,
+                ...this.claimStats
+            },
             current_item: this.currentItem ? this.currentItem.id : null,
             requests_processed: this.requestCount,
             consecutive_timeouts: this.consecutiveTimeouts,
@@ -768,10 +1327,39 @@ class FilterService {
             avg_requests_per_second: avgRate.toFixed(2),
             last_success_ago_seconds: Math.round((Date.now() - this.lastSuccessTime) / 1000),
             cooldown_info: this.connectionManager.getCooldownInfo(),
+            failures: this.connectionManager.getFailureInfo(),
+            fatal_failure: this.fatalFailure || null,
+            steam_guard: this.steamGuard.getStatus(),
+            dependencies_paused_seconds: this.dependencyPauseStart ? Math.round((Date.now() - this.dependencyPauseStart) / 1000) : 0,
+            circuit_breakers: this.getCircuitBreakerStates(),
+            ...(this.simulator && { steam_simulator: this.simulator.getStats() }),
+            per_username: this.usernameStats,
+            profile_store: this.profileStore.getStats(),
+            audit_log: this.auditLog.getStats(),
+            ack_buffer: this.ackBuffer.getStats(),
+            outbox: this.outbox.getStats(),
+            leases: {
+                enabled: this.leasesEnabled,
+                lease_seconds: this.config.CLAIM_LEASE / 1000,
+                held: this.getHeldItemIds().length,
+                ...this.leaseStats
+            },
+            http: getHttpMetrics(),
+            profile_cache: this.profileCache.getStats(),
+            rate_governor: this.rateGovernor.getStats(),
+            request_rate: this.requestRate.getStats(),
             timestamp: new Date().toISOString()
         };
     }
 
+    getCircuitBreakerStates() {
+        const states = {};
+        for (const [name, breaker] of Object.entries(this.breakers)) {
+            states[name] = breaker.getStats();
+        }
+        return states;
+    }
+
     async stop() {
         if (!this.running) {
             return;
@@ -784,32 +1372,62 @@ class FilterService {
         // Clean up connection manager
         if (this.connectionManager) {
             this.connectionManager.clearConnectionTimer();
+            this.connectionManager.clearRetryTimer();
+            await this.connectionManager.pauseHealthTracking();
             logToFile('Connection manager cleanup completed');
         }
 
-        // Release current batch back to queue
+        // Release current batch, any prefetched batch and the current item back to queue,
+        // then flush every pending acknowledgement
+        if (this.prefetchPromise) {
+            await this.prefetchPromise;
+        }
+        if (this.prefetched && this.prefetched.items.length > 0) {
+            logToFile(`Releasing ${this.prefetched.items.length} prefetched items back to queue`);
+            this.prefetched.items.forEach(item => this.ackBuffer.release(item.id));
+            this.prefetched = null;
+        }
+
         if (this.currentBatch.length > 0) {
-            const itemIds = this.currentBatch.map(item => item.id);
-            logToFile(`Releasing ${itemIds.length} items from current batch back to queue`);
-            try {
-                await this.releaseToFilterQueue(itemIds);
-                logToFile(`✅ Successfully released ${itemIds.length} items from batch`);
-            } catch (err) {
-                logToFile(`Failed to release batch on shutdown: ${err.message}`, 'error');
-            }
+            logToFile(`Releasing ${this.currentBatch.length} items from current batch back to queue`);
+            this.currentBatch.forEach(item => this.ackBuffer.release(item.id));
+            this.currentBatch = [];
         }
 
-        // Release current item if processing
-        if (this.currentItem) {
+        if (this.currentItem && !this.ackBuffer.has(this.currentItem.id) && !this.outbox.has(this.currentItem.id)) {
             logToFile(`Shutdown detected while processing ${this.currentItem.id}, releasing back to queue`);
-            try {
-                await this.releaseToFilterQueue([this.currentItem.id]);
-                logToFile(`✅ Successfully released current item ${this.currentItem.id}`);
-            } catch (err) {
-                logToFile(`Failed to release current item on shutdown: ${err.message}`, 'error');
-            }
+            this.ackBuffer.release(this.currentItem.id);
         }
 
+        if (this.outboxTimer) {
+            clearInterval(this.outboxTimer);
+            this.outboxTimer = null;
+        }
+
+        // Closed before waiting on the outbox: a delivery's complete step waits on its buffered acknowledgement,
+        // which only gives up on an open queue circuit once the buffer is closing
+        logToFile(`Flushing ${this.ackBuffer.size()} pending queue acknowledgements...`);
+        await this.ackBuffer.close();
+
+        // Deliveries in progress may still add acknowledgements; anything unfinished stays journaled
+        await this.outbox.close(this.config.OUTBOX_CLOSE_TIMEOUT);
+
+        if (this.leaseTimer) {
+            clearInterval(this.leaseTimer);
+            this.leaseTimer = null;
+        }
+
+        // Acknowledgements added by the deliveries that finished meanwhile
+        await this.ackBuffer.close();
+        logToFile('✅ Queue acknowledgements flushed');
+
+        await this.queue.close();
+        await this.profileStore.close();
+        await this.auditLog.close();
+        this.profileCache.close();
+        this.rateGovernor.close();
+        this.steamGuard.close();
+
         // Clean logout
         try {
             if (this.steamClient.steamID) {
@@ -819,6 +1437,9 @@ class FilterService {
         } catch (error) {
             logToFile(`Error during Steam logout: ${error.message}`, 'error');
         }
+        if (this.simulator) {
+            this.simulator.close();
+        }
 
         // Log final session statistics
         const stats = this.getStats();